@@ -1,290 +1,188 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
-const { Pool } = require('pg');
 const moment = require('moment-timezone');
-const { exec } = require('child_process');
 const path = require('path');
-const fs = require('fs');
 const cron = require('node-cron');
+const { pool } = require('./lib/db');
+const { runMigrations } = require('./lib/migrate');
+const { COLLECT_MODES } = require('./lib/scores');
+const { collectAndCheck, collectionSummary } = require('./lib/collect');
+const { startJob } = require('./lib/jobs');
+const { runScoreBackfill, scoreBackfillSummary } = require('./lib/backfill');
+const { parseGapParams, runGapBackfill } = require('./lib/gaps');
+const { validateDateRange, MAX_BACKFILL_DAYS } = require('./lib/dates');
+const { sendError } = require('./lib/errors');
+const { AUTH_DISABLED, authenticate, requireRole, audited } = require('./lib/auth');
+const authRoutes = require('./routes/auth');
+const cleanupRoutes = require('./routes/cleanup');
+const approvedSitesRoutes = require('./routes/approved-sites');
+const runsRoutes = require('./routes/runs');
+const scoresRoutes = require('./routes/scores');
+const alertsRoutes = require('./routes/alerts');
+const reportsRoutes = require('./routes/reports');
+const exportRoutes = require('./routes/export');
+const errorsRoutes = require('./routes/errors');
+const gapsRoutes = require('./routes/gaps');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Everything below needs a signed-in user or an API token (see lib/auth.js);
+// only the login page and /auth/login|logout are open
+app.use(authenticate);
+app.use(authRoutes);
+
 // Serve static assets from ./public (resolve from this file, not CWD)
 app.use(express.static(path.join(__dirname, 'public')));
 
-/** ====== AUTH ====== **/
-const username = process.env.SITEIMPROVE_USERNAME;
-const apiKey   = process.env.SITEIMPROVE_API_KEY;
-const authHeader = `Basic ${Buffer.from(`${username}:${apiKey}`).toString('base64')}`;
-
-let jobRunning = false;
-
-/** ====== DB POOL ====== **/
-const pool = new Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: Number(process.env.DB_PORT) || 5432,
-  ssl: { rejectUnauthorized: false },
-  connectionTimeoutMillis: 30000,
-  idleTimeoutMillis: 20000,
-  query_timeout: 120000,
-  max: 50,
-  min: 5
-});
-
-pool.connect()
-  .then(() => console.log('? Connected to PostgreSQL'))
-  .catch(err => console.error('? Connection error:', err));
-
-/** ====== URL NORMALIZATION ====== **/
-const normalizeUrlKey = (raw) => {
-  if (!raw) return '';
-  try {
-    const parsed = new URL(raw.startsWith('http') ? raw : `http://${raw}`);
-    let host = (parsed.hostname || '').toLowerCase().replace(/^www\./, '');
-    const port = parsed.port && !['80','443'].includes(parsed.port) ? `:${parsed.port}` : '';
-    let p = (parsed.pathname || '/')
-      .replace(/\/{2,}/g, '/')
-      .replace(/\/+$/g, '/')
-      .toLowerCase();
-    if (p !== '/' && p.endsWith('/')) p = p.slice(0, -1);
-    return `${host}${port}${p}`;
-  } catch {
-    return raw
-      .toLowerCase()
-      .replace(/^https?:\/\//, '')
-      .replace(/^www\./, '')
-      .replace(/\/{2,}/g, '/')
-      .replace(/\/+$/g, '/');
-  }
+// Front-end libraries for the trends dashboard, served from node_modules so
+// no page depends on an external CDN
+app.use('/vendor/bootstrap', express.static(path.join(__dirname, 'node_modules', 'bootstrap', 'dist')));
+app.use('/vendor/chart.js', express.static(path.join(__dirname, 'node_modules', 'chart.js', 'dist')));
+
+/** ====== JOBS ====== **/
+// Start the daily pull as a background job; resolves with the job id once
+// it is recorded, or rejects with a 409 while any collector job is running
+const startCollection = async (trigger, triggeredBy, { mode = 'insert' } = {}) => {
+  const job = await startJob({ jobType: 'collect', trigger, triggeredBy, params: { mode } }, (progress, runId) =>
+    collectAndCheck(progress, { mode, runId })
+  );
+  job.done.then(({ status, stats }) => {
+    if (status === 'succeeded') console.log(collectionSummary(`${trigger === 'scheduled' ? 'Scheduled' : 'Manual'} run #${job.runId}`, stats));
+  });
+  return job;
 };
 
-/** ====== APPROVED LIST (DISABLED) ====== **/
-// Approved list checking has been disabled - all sites will be processed
+const startBatch = async (trigger, triggeredBy, { start, end }) => {
+  const job = await startJob({ jobType: 'backfill', trigger, triggeredBy, params: { start, end } }, progress =>
+    runScoreBackfill({ start, end, progress })
+  );
+  job.done.then(({ status, stats }) => {
+    if (status === 'succeeded') console.log(scoreBackfillSummary(`Backfill #${job.runId}`, stats));
+  });
+  return job;
+};
 
-/** ====== LOGGING HELPERS ====== **/
-const logErrorToDatabase = async (siteId, siteName, errorMessage, level = 'ERROR') => {
-  try {
-    await pool.query(
-      'INSERT INTO error_logs (site_id, site_name, message, level, timestamp) VALUES ($1, $2, $3, $4, NOW())',
-      [siteId || null, siteName || null, errorMessage, level]
+// Backfill only the (sid, date) pairs the gap report lists for the range
+const startGapBackfill = async (trigger, triggeredBy, { from, to, sids, kinds }) => {
+  const job = await startJob({ jobType: 'gap-backfill', trigger, triggeredBy, params: { from, to, sids, kinds } }, progress =>
+    runGapBackfill({ from, to, sids, kinds, progress })
+  );
+  job.done.then(({ status, stats }) => {
+    if (status !== 'succeeded') return;
+    console.log(
+      `? Gap backfill #${job.runId} (${from} to ${to}) complete. | Gaps: ${stats.pairs} across ${stats.sites} sites | ` +
+      `Rows inserted: ${stats.inserted} (${stats.noLevels} without per-level scores) | Targets filled: ${stats.targetsFilled} | Unresolved: ${stats.unresolved} | ` +
+      `Errors: ${stats.fetchErrors + stats.updateErrors} | Duration: ${(stats.durationMs / 1000).toFixed(1)}s`
     );
-    console.log(`?? Logged ${level} for site ${siteName}`);
-  } catch (error) {
-    console.error('? Failed to log error:', error);
-  }
+  });
+  return job;
 };
 
-const fetchExistingRecords = async () => {
-  const result = await pool.query('SELECT sid, date FROM ada_scores');
-  return new Set(result.rows.map(row => `${row.sid}-${row.date}`));
+const jobAccepted = (res, runId, label) => {
+  res.locals.audit = { jobId: runId };
+  res.status(202).json({
+    jobId: runId,
+    status: 'running',
+    statusUrl: `/api/jobs/${runId}`,
+    message: `${label} job #${runId} started`
+  });
 };
 
-/** ====== INSERTOR ====== **/
-const insertScore = async (record, existingRecords, counters) => {
-  const key = `${record.sid}-${record.date}`;
-  if (existingRecords.has(key)) {
-    counters.skippedExisting++;
-    return false;
+// 409 when the collector lock is held (pointing at the running job), else 500
+const jobNotStarted = (res, err, label) => {
+  if (err.status === 409) {
+    const runId = err.details && err.details.runId;
+    return res.status(409).json({
+      error: err.message,
+      jobId: runId || null,
+      statusUrl: runId ? `/api/jobs/${runId}` : null,
+      lock: err.details
+    });
   }
+  console.error(`? Could not start ${label}: ${err.message}`);
+  res.status(500).json({ error: `Could not start ${label}: ${err.message}` });
+};
 
-  const query = `
-    INSERT INTO ada_scores (sid, name, url, ada_a, ada_aa, ada_aaa, ada_aria, ada_score_total, site_target_score, date)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-    ON CONFLICT (sid, date) DO NOTHING
-  `;
-
-  const values = [
-    record.sid,
-    record.name,
-    record.url,
-    record.ada_a,
-    record.ada_aa,
-    record.ada_aaa,
-    record.ada_aria,
-    record.ada_score_total,
-    record.site_target_score,
-    record.date,
-  ];
+/** ====== ROUTES ====== **/
+// The job endpoints answer 202 with a job id straight away; poll statusUrl
+// (/api/jobs/:id) for progress and the final stats. Operators only; every
+// attempt lands in audit_log.
+// /run-now?mode=refresh also corrects changed values on today's existing rows.
+app.get('/run-now', requireRole('operator'), audited('run-now'), async (req, res) => {
+  const mode = req.query.mode || 'insert';
+  if (!COLLECT_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${COLLECT_MODES.join(', ')}` });
+  }
 
+  const ts = moment().tz('America/Los_Angeles').format('YYYY-MM-DD HH:mm:ss z');
+  console.log(`?? Manual run (${mode}) by ${req.identity.name} @ ${ts}`);
   try {
-    const result = await pool.query(query, values);
-    if (result.rowCount > 0) {
-      counters.inserted++;
-      existingRecords.add(key);
-      return true;
-    } else {
-      counters.skippedExisting++;
-      return false;
-    }
-  } catch (err) {
-    counters.insertErrors++;
-    console.error(`? Insert failed for ${record.name}: ${err.message}`);
-    await logErrorToDatabase(record.sid, record.name, err.message);
-    return false;
+    const { runId } = await startCollection('manual', req.identity.name, { mode });
+    jobAccepted(res, runId, 'Collection');
+  } catch (e) {
+    jobNotStarted(res, e, 'run');
   }
-};
-
-/** ====== UTIL ====== **/
-const logMemoryUsage = () => {
-  const used = process.memoryUsage();
-  console.log(
-    `?? Memory - RSS: ${(used.rss / 1024 / 1024).toFixed(2)}MB, Heap: ${(used.heapUsed / 1024 / 1024).toFixed(2)}MB`
-  );
-};
-
-/** ====== MAIN FETCH/PROCESS ====== **/
-const fetchAndInsertRecords = async () => {
-  console.log('?? Starting Siteimprove pull...');
-  const stats = {
-    sitesPulled: 0,
-    processed: 0,
-    inserted: 0,
-    skippedExisting: 0,
-    targetInfoNotes: 0,
-    targetErrors: 0,
-    insertErrors: 0
-  };
-
-  const existingRecords = await fetchExistingRecords();
+});
 
+// ?start=YYYY-MM-DD&end=YYYY-MM-DD, past dates only, at most MAX_BACKFILL_DAYS.
+// A bad range is a 400 whose details.errors says what is wrong with which field.
+app.get('/run-batch', requireRole('operator'), audited('run-batch'), async (req, res) => {
+  let range;
   try {
-    const response = await axios.get(
-      'https://api.eu.siteimprove.com/v2/sites?group_id=1183842&page_size=250',
-      { headers: { 'Authorization': authHeader } }
-    );
-
-    const sites = (response.data.items || []).filter(site => site.product.includes('accessibility'));
-    stats.sitesPulled = sites.length;
-    console.log(`?? Total accessible sites pulled: ${sites.length}`);
-
-    for (let i = 0; i < sites.length; i += 20) {
-      const batch = sites.slice(i, i + 20);
-      for (const site of batch) {
-        const today = new Date().toISOString().split('T')[0];
-
-        try {
-          stats.processed++;
-          console.log(`?? Processing site: ${site.site_name} (${site.id})`);
-
-          const scoreResponse = await axios.get(
-            `https://api.eu.siteimprove.com/v2/sites/${site.id}/dci/overview`,
-            { headers: { 'Authorization': authHeader } }
-          );
-
-          let siteTarget = null;
-          try {
-            const targetResponse = await axios.get(
-              `https://api.eu.siteimprove.com/v2/sites/${site.id}/a11y/overview/site_target/history`,
-              { headers: { 'Authorization': authHeader } }
-            );
-
-            const todayStr = new Date().toISOString().split('T')[0];
-            const todayTarget = (targetResponse.data.items || []).find(
-              entry => typeof entry.timestamp === 'string' && entry.timestamp.startsWith(todayStr)
-            );
-            if (todayTarget) {
-              siteTarget = parseFloat(todayTarget.site_target_percentage);
-            } else {
-              stats.targetInfoNotes++;
-              await logErrorToDatabase(site.id, site.site_name, 'No site_target_percentage entry for today', 'INFO');
-            }
-          } catch (targetErr) {
-            stats.targetErrors++;
-            await logErrorToDatabase(site.id, site.site_name, `Target score fetch error: ${targetErr.message}`, 'INFO');
-          }
-
-          const { a, aa, aaa, aria, total } = scoreResponse.data.a11y;
-          const record = {
-            sid: site.id,
-            name: site.site_name,
-            url: site.url,
-            ada_a: parseInt(a),
-            ada_aa: parseInt(aa),
-            ada_aaa: parseInt(aaa),
-            ada_aria: parseInt(aria),
-            ada_score_total: parseInt(total),
-            site_target_score: siteTarget,
-            date: today,
-          };
-
-          await insertScore(record, existingRecords, stats);
-        } catch (err) {
-          console.error(`? Error for ${site.site_name}: ${err.message}`);
-          await logErrorToDatabase(site.id, site.site_name, `Approved site failed during processing: ${err.message}`, 'WARNING');
-        }
-      }
-
-      logMemoryUsage();
-    }
-
-    console.log('? All done.');
-    return stats;
-  } catch (err) {
-    console.error('? Error during main fetch:', err.message);
-    await logErrorToDatabase(null, 'General API Error', err.message);
-    throw err;
+    range = validateDateRange({ start: req.query.start, end: req.query.end }, { maxDays: MAX_BACKFILL_DAYS });
+  } catch (e) {
+    return sendError(res, e, 'Invalid date range');
   }
-};
 
-/** ====== ROUTES ====== **/
-app.get('/run-now', async (req, res) => {
-  const ts = moment().tz('America/Los_Angeles').format('YYYY-MM-DD HH:mm:ss z');
-  console.log(`?? Manual run @ ${ts}`);
+  console.log(`?? Batch update requested by ${req.identity.name}: ${range.start} to ${range.end} (${range.days} days)`);
   try {
-    const before = Number((await pool.query('SELECT COUNT(*) FROM ada_scores')).rows[0].count);
-    const stats  = await fetchAndInsertRecords();
-    const after  = Number((await pool.query('SELECT COUNT(*) FROM ada_scores')).rows[0].count);
-
-    res
-      .status(200)
-      .send(
-        [
-          '? Run complete.',
-          `Sites pulled: ${stats.sitesPulled}`,
-          `Processed: ${stats.processed}`,
-          `Inserted: ${stats.inserted}`,
-          `Skipped existing: ${stats.skippedExisting}`,
-          `Target info notes: ${stats.targetInfoNotes}, target errors: ${stats.targetErrors}`,
-          `Rows before: ${before}, after: ${after}`,
-        ].join(' | ')
-      );
+    const { runId } = await startBatch('manual', req.identity.name, range);
+    jobAccepted(res, runId, 'Backfill');
   } catch (e) {
-    res.status(500).send(`? Run failed: ${e.message}`);
+    jobNotStarted(res, e, 'batch run');
   }
 });
 
-app.get('/run-batch', async (req, res) => {
-  const { start, end } = req.query;
-  if (!start || !end) return res.status(400).send('?? Start and end dates are required. Example: /run-batch?start=2025-06-01&end=2025-06-30');
-
-  const batchScript = path.resolve(__dirname, 'historical-data-batch-v2.js');
-  const command = `node "${batchScript}" ${start} ${end}`;
-  console.log(`?? Running batch update: ${command}`);
+// Fill the gaps GET /api/gaps reports. JSON body (or query string) with the
+// same from/to/sids as the report, plus kinds=missing,no_target (default both).
+app.post('/api/gaps/backfill', express.json(), requireRole('operator'), audited('gap-backfill'), async (req, res) => {
+  let params;
+  try {
+    params = parseGapParams({ ...req.query, ...(req.body || {}) });
+  } catch (e) {
+    return sendError(res, e, 'Invalid gap backfill request');
+  }
 
-  exec(command, (error, stdout, stderr) => {
-    if (error) {
-      console.error(`? Exec error: ${error.message}`);
-      return res.status(500).send('? Batch run failed.');
-    }
-    if (stderr) console.error(`?? STDERR:\n${stderr}`);
-    console.log(`?? STDOUT:\n${stdout}`);
-    res.send('? Batch run completed. Check logs for details.');
-  });
+  const scope = params.sids ? `${params.sids.length} sites` : 'all sites';
+  console.log(`?? Gap backfill requested by ${req.identity.name}: ${params.from} to ${params.to}, ${scope} (${params.kinds.join(', ')})`);
+  try {
+    const { runId } = await startGapBackfill('manual', req.identity.name, params);
+    jobAccepted(res, runId, 'Gap backfill');
+  } catch (e) {
+    jobNotStarted(res, e, 'gap backfill');
+  }
 });
 
+// Optional ?group_id= filter shared by the read APIs below
+const parseGroupFilter = (req) => {
+  if (req.query.group_id === undefined || req.query.group_id === '') return null;
+  const groupId = Number(req.query.group_id);
+  return Number.isInteger(groupId) && groupId > 0 ? groupId : NaN;
+};
+
 app.get('/api/status', async (req, res) => {
+  const groupId = parseGroupFilter(req);
+  if (Number.isNaN(groupId)) return res.status(400).json({ error: 'group_id must be a positive integer' });
+
   try {
     const result = await pool.query(`
       SELECT date, COUNT(*) AS count
       FROM ada_scores
+      WHERE ($1::bigint IS NULL OR group_id = $1)
       GROUP BY date
       ORDER BY date DESC
-    `);
+    `, [groupId]);
     res.json(result.rows);
   } catch (err) {
     console.error('? Error fetching status summary:', err);
@@ -292,12 +190,31 @@ app.get('/api/status', async (req, res) => {
   }
 });
 
+app.get('/api/status/groups', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT date, group_id, COUNT(*) AS count
+      FROM ada_scores
+      GROUP BY date, group_id
+      ORDER BY date DESC, group_id
+    `);
+    res.json(result.rows);
+  } catch (err) {
+    console.error('? Error fetching group status summary:', err);
+    res.status(500).json({ error: 'Failed to fetch group status summary' });
+  }
+});
+
 app.get('/api/today-records', async (req, res) => {
+  const groupId = parseGroupFilter(req);
+  if (Number.isNaN(groupId)) return res.status(400).json({ error: 'group_id must be a positive integer' });
+
   try {
     const today = new Date().toISOString().split('T')[0];
     const result = await pool.query(
-      `SELECT name, url, date, site_target_score FROM ada_scores WHERE date = $1`,
-      [today]
+      `SELECT name, url, date, site_target_score, group_id FROM ada_scores
+       WHERE date = $1 AND ($2::bigint IS NULL OR group_id = $2)`,
+      [today, groupId]
     );
     res.json(result.rows);
   } catch (err) {
@@ -306,41 +223,63 @@ app.get('/api/today-records', async (req, res) => {
   }
 });
 
-app.listen(port, () => {
-  console.log(`?? Server on http://localhost:${port}`);
-});
+app.use(cleanupRoutes);
+app.use(approvedSitesRoutes);
+app.use(runsRoutes);
+app.use(scoresRoutes);
+app.use(alertsRoutes);
+app.use(reportsRoutes);
+app.use(exportRoutes);
+app.use(errorsRoutes);
+app.use(gapsRoutes);
+
+/** ====== STARTUP ====== **/
+// Bring the schema up to date before serving; MIGRATE_ON_START=false leaves
+// that to `npm run migrate`
+const prepareDatabase = async () => {
+  if (process.env.MIGRATE_ON_START === 'false') {
+    await pool.query('SELECT 1');
+    console.log('? Connected to PostgreSQL');
+    return;
+  }
+  await runMigrations(pool);
+};
+
+prepareDatabase()
+  .then(() => {
+    if (AUTH_DISABLED) console.warn('?? AUTH_DISABLED=true: every request is treated as an operator');
+    app.listen(port, () => {
+      console.log(`?? Server on http://localhost:${port}`);
+    });
+  })
+  .catch(err => {
+    console.error('? Database startup failed:', err.message);
+    process.exit(1);
+  });
 
 /** ====== CRON SCHEDULER ====== **/
 // TEST TIME (6:10 PM LA): '10 18 * * *'
 // PROD TIME (4:30 PM LA): '30 16 * * *'
 const SCHEDULE = process.env.CRON_EXPR || '35 18 * * *';
 
+// COLLECT_MODE=refresh makes the scheduled pull correct existing rows too
+const SCHEDULED_MODE = COLLECT_MODES.includes(process.env.COLLECT_MODE) ? process.env.COLLECT_MODE : 'insert';
+if (process.env.COLLECT_MODE && process.env.COLLECT_MODE !== SCHEDULED_MODE) {
+  console.warn(`?? Ignoring COLLECT_MODE=${process.env.COLLECT_MODE}; expected one of ${COLLECT_MODES.join(', ')}`);
+}
+
 
 cron.schedule(SCHEDULE, async () => {
   const now = moment().tz('America/Los_Angeles').format('YYYY-MM-DD HH:mm:ss z');
-  if (jobRunning) {
-    console.log(`? Skipping scheduled run at ${now} (previous run still running)`);
-    return;
-  }
-  jobRunning = true;
   console.log(`??? Scheduled run started @ ${now}`);
   try {
-    const before = Number((await pool.query('SELECT COUNT(*) FROM ada_scores')).rows[0].count);
-    const stats  = await fetchAndInsertRecords();
-    const after  = Number((await pool.query('SELECT COUNT(*) FROM ada_scores')).rows[0].count);
-    console.log(
-      [
-        '? Scheduled run complete.',
-        `Sites pulled: ${stats.sitesPulled}`,
-        `Processed: ${stats.processed}`,
-        `Inserted: ${stats.inserted}`,
-        `Skipped existing: ${stats.skippedExisting}`,
-        `Rows before: ${before}, after: ${after}`,
-      ].join(' | ')
-    );
+    const { done } = await startCollection('scheduled', 'cron', { mode: SCHEDULED_MODE });
+    await done;
   } catch (e) {
-    console.error(`? Scheduled run failed: ${e.message}`);
-  } finally {
-    jobRunning = false;
+    if (e.status === 409) {
+      console.log(`? Skipping scheduled run at ${now}: ${e.message}`);
+      return;
+    }
+    console.error(`? Scheduled run could not start: ${e.message}`);
   }
 }, { timezone: 'America/Los_Angeles' });
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+// One CLI for the collector jobs, using the same lib/ modules as app.js.
+// Usage:
+//   node bin/dci.js collect          [--mode=insert|refresh]             today's pull (what the cron runs)
+//   node bin/dci.js backfill-scores  [--from=YYYY-MM-DD] [--to=...]      rebuild missing rows from the DCI history
+//   node bin/dci.js backfill-targets [--from=YYYY-MM-DD] [--to=...]      fill NULL targets and DCI scores on stored rows
+//   node bin/dci.js cleanup          [--from=YYYY-MM-DD] [--to=...]      remove rows of sites no longer in scope
+//   node bin/dci.js report           [--from=YYYY-MM-DD] [--to=...] [--out=file.xlsx]
+// Every command also takes:
+//   --table=ada_scores|ada_scores_backup   table to read or write (default ada_scores)
+//   --sids=101,102                         only these sites
+//   --dry-run                              report what would change without keeping any of it
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const os = require('os');
+const path = require('path');
+const { pool } = require('../lib/db');
+const { startJob } = require('../lib/jobs');
+const { withJobLock } = require('../lib/lock');
+const { collectAndCheck, collectionSummary } = require('../lib/collect');
+const { runScoreBackfill, runHistoryBackfill, scoreBackfillSummary, historyBackfillSummary } = require('../lib/backfill');
+const { runCleanup } = require('../lib/cleanup');
+const { parseReportRange, buildScoresWorkbook } = require('../lib/reports');
+const { COLLECT_MODES, assertScoreTable } = require('../lib/scores');
+const { validateDateRange, isIsoDate, todayUtc } = require('../lib/dates');
+const { recordAudit } = require('../lib/audit');
+const { parseSidList } = require('../lib/parse');
+
+const USAGE = 'Usage: node bin/dci.js collect|backfill-scores|backfill-targets|cleanup|report ' +
+  '[--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--table=ada_scores|ada_scores_backup] [--sids=101,102] [--dry-run] [--mode=] [--out=]';
+
+// First day the legacy backfill scripts started from
+const DEFAULT_BACKFILL_START = '2025-05-01';
+
+const actor = `cli:${os.userInfo().username}`;
+
+/** ====== FLAGS ====== **/
+const FLAGS = ['from', 'to', 'table', 'sids', 'dry-run', 'mode', 'out'];
+
+// --name=value pairs and bare --switches, plus the positional arguments
+const parseArgs = (argv) => {
+  const flags = {};
+  const positional = [];
+  for (const arg of argv) {
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, ...value] = arg.slice(2).split('=');
+    if (!FLAGS.includes(name)) throw new Error(`Unknown flag --${name}\n${USAGE}`);
+    flags[name] = value.length ? value.join('=') : true;
+  }
+  return { flags, positional };
+};
+
+// A bare or empty --sids is a mistake, not "every site"
+const parseSids = (value) => {
+  if (value === undefined) return null;
+  if (value === true || value === '') throw new Error('--sids must be a comma-separated list of positive integers');
+  return parseSidList(value, { name: '--sids' });
+};
+
+// Options every command shares
+const commonOptions = (flags) => ({
+  table: assertScoreTable(flags.table || 'ada_scores'),
+  sids: parseSids(flags.sids),
+  dryRun: flags['dry-run'] === true
+});
+
+/** ====== JOBS ====== **/
+// Run `work` as a recorded job, so CLI runs take the collector lock and show
+// up in the run history like those started from the dashboard
+const runJob = async (jobType, params, work, summarize) => {
+  const job = await startJob({ jobType, trigger: 'manual', triggeredBy: actor, params }, work);
+  console.log(`Started ${jobType} job #${job.runId}`);
+  const { status, stats, error } = await job.done;
+  if (status !== 'succeeded') throw new Error(`${jobType} job #${job.runId} failed: ${error}`);
+  console.log(summarize(job.runId, stats));
+};
+
+/** ====== COMMANDS ====== **/
+const commands = {
+  collect: async (flags) => {
+    // The DCI overview only has today's scores; past days come from the history endpoints
+    if (flags.from || flags.to) throw new Error('collect always pulls today; use backfill-scores for past dates');
+    const mode = flags.mode || 'insert';
+    if (!COLLECT_MODES.includes(mode)) throw new Error(`--mode must be one of: ${COLLECT_MODES.join(', ')}`);
+    const options = { ...commonOptions(flags), mode };
+    if (mode === 'refresh' && options.table !== 'ada_scores') throw new Error('--mode=refresh only works on ada_scores');
+    await runJob('collect', options, (progress, runId) => collectAndCheck(progress, { ...options, runId }),
+      (runId, stats) => collectionSummary(`CLI run #${runId}`, stats));
+  },
+
+  'backfill-scores': async (flags) => {
+    const { start, end } = validateDateRange({ start: flags.from || DEFAULT_BACKFILL_START, end: flags.to || todayUtc() });
+    const options = { ...commonOptions(flags), start, end };
+    await runJob('history-backfill', options, progress => runHistoryBackfill({ ...options, progress }),
+      (runId, stats) => historyBackfillSummary(`History backfill #${runId}`, stats));
+  },
+
+  'backfill-targets': async (flags) => {
+    const { start, end } = validateDateRange({ start: flags.from || DEFAULT_BACKFILL_START, end: flags.to || todayUtc() });
+    const options = { ...commonOptions(flags), start, end };
+    await runJob('backfill', options, progress => runScoreBackfill({ ...options, progress }),
+      (runId, stats) => scoreBackfillSummary(`Backfill #${runId}`, stats));
+  },
+
+  cleanup: async (flags) => {
+    for (const name of ['from', 'to']) {
+      if (flags[name] !== undefined && !isIsoDate(flags[name])) throw new Error(`--${name} must be a real calendar date in YYYY-MM-DD format`);
+    }
+    if (flags.from && flags.to && flags.from > flags.to) throw new Error(`--to must be on or after --from (${flags.from})`);
+
+    const options = { ...commonOptions(flags), from: flags.from || null, to: flags.to || null };
+    // Not a recorded job, but it holds the same lock so it never deletes rows a running collector is inserting
+    const summary = await withJobLock(`cleanup (manual by ${actor})`, () => runCleanup(options));
+    await recordAudit({
+      actor,
+      actorType: 'cli',
+      action: 'run-cleanup',
+      details: { ...options, removedRows: summary.removedRows, removedSites: summary.removedSites }
+    });
+    console.log([
+      summary.dryRun ? 'Dry run complete (nothing deleted).' : 'Cleanup complete.',
+      `Table: ${summary.table}`,
+      `In-scope sites: ${summary.inScopeSites}`,
+      `Listed but not approved: ${summary.unapprovedSites}`,
+      `${summary.dryRun ? 'Would remove' : 'Removed'}: ${summary.removedRows} rows from ${summary.removedSites} sites`
+    ].join(' | '));
+    if (summary.sites.length) {
+      console.table(summary.sites.map(site => ({ sid: site.sid, name: site.name, rows: site.rows, reason: site.reason })));
+    }
+  },
+
+  report: async (flags) => {
+    const { from, to } = parseReportRange({ from: flags.from, to: flags.to });
+    const { table, sids, dryRun } = commonOptions(flags);
+    const { workbook, summary } = await buildScoresWorkbook({ from, to, table, sids });
+    const out = path.resolve(typeof flags.out === 'string' ? flags.out : `dci-scores_${from}_${to}.xlsx`);
+    if (!dryRun) await workbook.xlsx.writeFile(out);
+    console.log([
+      dryRun ? `Report built (dry run, not written to ${out}).` : `Report written to ${out}.`,
+      `Period: ${from} to ${to}`,
+      `Table: ${summary.table}`,
+      `Sites: ${summary.sites}`,
+      `Score rows: ${summary.rows}`,
+      `Below target: ${summary.sitesBelowTarget}`,
+      `Error log entries: ${summary.errors}`
+    ].join(' | '));
+  }
+};
+
+(async () => {
+  let exitCode = 0;
+  try {
+    const { flags, positional } = parseArgs(process.argv.slice(2));
+    const [command, ...extra] = positional;
+    if (!commands[command]) throw new Error(command ? `Unknown command "${command}"\n${USAGE}` : USAGE);
+    if (extra.length) throw new Error(`Unexpected argument "${extra[0]}" (flags take the form --name=value)\n${USAGE}`);
+    await commands[command](flags);
+  } catch (e) {
+    console.error(e.message);
+    exitCode = 1;
+  }
+  await pool.end().catch(() => {});
+  process.exit(exitCode);
+})();
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// Load a legacy checklist file into the approved_sites registry.
+// Usage:
+//   node bin/import-approved-sites.js ./checklist/approved_sites.xlsx [--replace] [--actor=name]
+//   node bin/import-approved-sites.js ./checklist/approved_sites_clean.json
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const os = require('os');
+const { pool } = require('../lib/db');
+const { readApprovedSitesFile, importApprovedSites } = require('../lib/approved-sites');
+
+(async () => {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const replace = args.includes('--replace');
+  const actorArg = args.find(arg => arg.startsWith('--actor='));
+  const actor = actorArg ? actorArg.slice('--actor='.length) : `cli:${os.userInfo().username}`;
+
+  if (!file) {
+    console.error('Usage: node bin/import-approved-sites.js <file.xlsx|file.json> [--replace] [--actor=name]');
+    process.exit(2);
+  }
+
+  try {
+    const entries = await readApprovedSitesFile(file);
+    const counts = await importApprovedSites(entries, actor, { replace, source: file });
+    console.log(
+      `Imported ${file}: ${counts.added} added, ${counts.restored} restored, ${counts.unchanged} unchanged, ` +
+      `${counts.removed} removed, ${counts.duplicates} duplicate and ${counts.invalid} invalid row(s) skipped`
+    );
+    await pool.end();
+    process.exit(0);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// Usage:
+//   node bin/migrate.js          apply pending migrations
+//   node bin/migrate.js status   list migrations and when each was applied
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const { pool } = require('../lib/db');
+const { runMigrations, migrationStatus } = require('../lib/migrate');
+
+const commands = {
+  up: async () => {
+    await runMigrations(pool);
+  },
+  status: async () => {
+    const rows = await migrationStatus(pool);
+    for (const row of rows) {
+      const when = row.appliedAt ? new Date(row.appliedAt).toISOString() : 'pending';
+      console.log(`${row.name.padEnd(40)} ${when}`);
+    }
+  }
+};
+
+(async () => {
+  const command = process.argv[2] || 'up';
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use: ${Object.keys(commands).join(', ')}`);
+    process.exit(2);
+  }
+
+  try {
+    await commands[command]();
+    await pool.end();
+    process.exit(0);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+// Manage dashboard users and API tokens.
+// Usage:
+//   node bin/users.js add <username> [--role=viewer|operator]   (password from DCI_PASSWORD, else generated)
+//   node bin/users.js passwd <username>                         (same password rules)
+//   node bin/users.js role <username> <viewer|operator>
+//   node bin/users.js disable <username> | enable <username>
+//   node bin/users.js list
+//   node bin/users.js token:create <name> [--role=viewer|operator]
+//   node bin/users.js token:revoke <id>
+//   node bin/users.js tokens
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const os = require('os');
+const crypto = require('crypto');
+const { pool } = require('../lib/db');
+const {
+  listUsers,
+  createUser,
+  updateUser,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken
+} = require('../lib/auth');
+const { recordAudit } = require('../lib/audit');
+
+const USAGE = 'Usage: node bin/users.js add|passwd|role|disable|enable|list|token:create|token:revoke|tokens [args] [--role=]';
+
+const actor = `cli:${os.userInfo().username}`;
+
+// DCI_PASSWORD, or a random one that is printed once
+const passwordFromEnv = () => {
+  if (process.env.DCI_PASSWORD) return { password: process.env.DCI_PASSWORD, generated: false };
+  return { password: crypto.randomBytes(12).toString('base64url'), generated: true };
+};
+
+const run = async (command, args, role) => {
+  const [target, value] = args;
+  const need = (arg, name) => {
+    if (!arg) throw new Error(`${command} needs <${name}>\n${USAGE}`);
+    return arg;
+  };
+
+  switch (command) {
+    case 'add': {
+      const { password, generated } = passwordFromEnv();
+      const user = await createUser({ username: need(target, 'username'), password, role: role || 'viewer' });
+      console.log(`Added ${user.username} (${user.role})${generated ? `, password: ${password}` : ''}`);
+      return { action: 'user:add', details: { username: user.username, role: user.role } };
+    }
+    case 'passwd': {
+      const { password, generated } = passwordFromEnv();
+      await updateUser(need(target, 'username'), { password });
+      console.log(`Password changed for ${target}${generated ? `: ${password}` : ''}; their sessions were ended`);
+      return { action: 'user:passwd', details: { username: target } };
+    }
+    case 'role': {
+      const user = await updateUser(need(target, 'username'), { role: need(value, 'role') });
+      console.log(`${user.username} is now ${user.role}`);
+      return { action: 'user:role', details: { username: user.username, role: user.role } };
+    }
+    case 'disable':
+    case 'enable': {
+      await updateUser(need(target, 'username'), { active: command === 'enable' });
+      console.log(`${target} ${command}d`);
+      return { action: `user:${command}`, details: { username: target } };
+    }
+    case 'list':
+      console.table((await listUsers()).map(u => ({
+        username: u.username, role: u.role, active: u.active, last_login_at: u.last_login_at
+      })));
+      return null;
+    case 'token:create': {
+      const token = await createApiToken({ name: need(target, 'name'), role: role || 'viewer', createdBy: actor });
+      console.log(`Token #${token.id} "${token.name}" (${token.role}). Store it now, it is not shown again:\n${token.token}`);
+      return { action: 'token:create', details: { id: token.id, name: token.name, role: token.role } };
+    }
+    case 'token:revoke': {
+      const id = Number(need(target, 'id'));
+      const token = await revokeApiToken(id);
+      console.log(`Revoked token #${token.id} "${token.name}"`);
+      return { action: 'token:revoke', details: { id: token.id, name: token.name } };
+    }
+    case 'tokens':
+      console.table((await listApiTokens()).map(t => ({
+        id: t.id, name: t.name, prefix: t.token_prefix, role: t.role, last_used_at: t.last_used_at, revoked_at: t.revoked_at
+      })));
+      return null;
+    default:
+      throw new Error(USAGE);
+  }
+};
+
+(async () => {
+  const args = process.argv.slice(2);
+  const roleArg = args.find(arg => arg.startsWith('--role='));
+  const [command, ...rest] = args.filter(arg => !arg.startsWith('--'));
+
+  try {
+    const change = await run(command, rest, roleArg ? roleArg.slice('--role='.length) : null);
+    if (change) await recordAudit({ actor, actorType: 'cli', ...change });
+    await pool.end();
+    process.exit(0);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,280 @@
+const { pool } = require('./db');
+const { configuredChannels, deliver } = require('./notifiers');
+const { toNumber } = require('./parse');
+
+/** ====== SETTINGS ====== **/
+const ALERT_KINDS = ['drop', 'below_target'];
+const ALERT_METRIC = 'ada_score_total';
+
+// Non-negative number from the environment; 0 turns a drop threshold off
+const envThreshold = (name, fallback) => {
+  const raw = process.env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+// drop:         today's score is at least dropPoints or dropPercent below the
+//               site's average over the previous baselineDays days
+// below_target: today's score is under site_target_score while the previous
+//               stored day was at or above it
+const ALERT_SETTINGS = {
+  metric: ALERT_METRIC,
+  dropPoints: envThreshold('ALERT_DROP_POINTS', 10),
+  dropPercent: envThreshold('ALERT_DROP_PERCENT', 15),
+  baselineDays: Math.max(1, Math.round(envThreshold('ALERT_BASELINE_DAYS', 7))),
+  belowTarget: process.env.ALERT_BELOW_TARGET !== 'false'
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/** ====== DETECTION ====== **/
+// Alerts for the rows stored on `date`, compared with each site's own recent
+// history. Nothing is written; see checkRegressions.
+const detectRegressions = async (date, settings = ALERT_SETTINGS) => {
+  const { metric, baselineDays } = settings;
+  const result = await pool.query(
+    `WITH latest AS (
+       SELECT sid, name, url, group_id, ${metric} AS value, site_target_score AS target
+       FROM ada_scores
+       WHERE date = $1 AND ${metric} IS NOT NULL
+     ),
+     history AS (
+       SELECT sid, date, ${metric} AS value, site_target_score AS target
+       FROM ada_scores
+       WHERE date >= $1::date - $2::int AND date < $1 AND ${metric} IS NOT NULL
+     ),
+     baseline AS (
+       SELECT sid, AVG(value) AS baseline, COUNT(*) AS days FROM history GROUP BY sid
+     ),
+     previous AS (
+       SELECT DISTINCT ON (sid) sid, date, value, target FROM history ORDER BY sid, date DESC
+     )
+     SELECT l.sid, l.name, l.url, l.group_id, l.value, l.target,
+            b.baseline, b.days AS baseline_days,
+            to_char(p.date, 'YYYY-MM-DD') AS previous_date, p.value AS previous_value, p.target AS previous_target
+     FROM latest l
+     LEFT JOIN baseline b ON b.sid = l.sid
+     LEFT JOIN previous p ON p.sid = l.sid
+     ORDER BY l.sid`,
+    [date, baselineDays]
+  );
+
+  const alerts = [];
+  for (const row of result.rows) {
+    const value = toNumber(row.value);
+    const target = toNumber(row.target);
+    const baseline = toNumber(row.baseline);
+    const site = { sid: row.sid, name: row.name, url: row.url, groupId: toNumber(row.group_id), date, metric };
+
+    if (baseline !== null) {
+      const change = round2(value - baseline);
+      const changePercent = baseline > 0 ? round2((change / baseline) * 100) : null;
+      const reasons = [];
+      if (settings.dropPoints > 0 && -change >= settings.dropPoints) reasons.push('points');
+      if (settings.dropPercent > 0 && changePercent !== null && -changePercent >= settings.dropPercent) reasons.push('percent');
+      if (reasons.length) {
+        alerts.push({
+          ...site,
+          kind: 'drop',
+          value,
+          baseline: round2(baseline),
+          target,
+          change,
+          changePercent,
+          details: {
+            reasons,
+            baselineDays: Number(row.baseline_days),
+            window: baselineDays,
+            thresholds: { points: settings.dropPoints, percent: settings.dropPercent }
+          }
+        });
+      }
+    }
+
+    const previousValue = toNumber(row.previous_value);
+    // An older row without a target is judged against today's target
+    const previousTarget = toNumber(row.previous_target) ?? target;
+    if (settings.belowTarget && target !== null && value < target &&
+        previousValue !== null && previousTarget !== null && previousValue >= previousTarget) {
+      alerts.push({
+        ...site,
+        kind: 'below_target',
+        value,
+        baseline: previousValue,
+        target,
+        change: round2(value - previousValue),
+        changePercent: previousValue > 0 ? round2(((value - previousValue) / previousValue) * 100) : null,
+        details: { previousDate: row.previous_date, previousTarget }
+      });
+    }
+  }
+  return alerts;
+};
+
+/** ====== STORAGE ====== **/
+// Insert alerts, skipping any (sid, date, kind) already raised. Resolves to
+// the newly stored rows with their ids.
+const recordAlerts = async (alerts, runId = null) => {
+  if (!alerts.length) return [];
+  const result = await pool.query(
+    `INSERT INTO score_alerts (sid, name, url, group_id, date, kind, metric, value, baseline, target, change, change_percent, details, run_id)
+     SELECT * FROM unnest($1::int[], $2::text[], $3::text[], $4::bigint[], $5::date[], $6::text[], $7::text[],
+                          $8::numeric[], $9::numeric[], $10::numeric[], $11::numeric[], $12::numeric[], $13::jsonb[], $14::int[])
+     ON CONFLICT (sid, date, kind) DO NOTHING
+     RETURNING id, sid, kind`,
+    [
+      alerts.map(a => a.sid),
+      alerts.map(a => a.name),
+      alerts.map(a => a.url),
+      alerts.map(a => a.groupId),
+      alerts.map(a => a.date),
+      alerts.map(a => a.kind),
+      alerts.map(a => a.metric),
+      alerts.map(a => a.value),
+      alerts.map(a => a.baseline),
+      alerts.map(a => a.target),
+      alerts.map(a => a.change),
+      alerts.map(a => a.changePercent),
+      alerts.map(a => JSON.stringify(a.details)),
+      alerts.map(() => runId)
+    ]
+  );
+  const ids = new Map(result.rows.map(row => [`${row.sid}|${row.kind}`, row.id]));
+  return alerts
+    .filter(alert => ids.has(`${alert.sid}|${alert.kind}`))
+    .map(alert => ({ id: ids.get(`${alert.sid}|${alert.kind}`), ...alert }));
+};
+
+/** ====== NOTIFICATION ====== **/
+const describeAlert = (alert) => {
+  const site = `${alert.name} (site ${alert.sid}, ${alert.url})`;
+  if (alert.kind === 'below_target') {
+    return `${site}: ${alert.metric} ${alert.value} fell below its target of ${alert.target} ` +
+      `(was ${alert.baseline} on ${alert.details.previousDate})`;
+  }
+  const percent = alert.changePercent === null ? '' : `, ${alert.changePercent}%`;
+  return `${site}: ${alert.metric} ${alert.value} vs ${alert.details.window}-day average ${alert.baseline} ` +
+    `(${alert.change}${percent})`;
+};
+
+// One message per run covering every new alert
+const buildMessage = (alerts, { date, runId }) => {
+  const drops = alerts.filter(a => a.kind === 'drop');
+  const belowTarget = alerts.filter(a => a.kind === 'below_target');
+  const section = (title, items) => (items.length ? [`${title}:`, ...items.map(a => `- ${describeAlert(a)}`), ''] : []);
+  return {
+    subject: `[DCI] ${alerts.length} score alert(s) for ${date}`,
+    text: [
+      `Collection run ${runId ? `#${runId} ` : ''}for ${date} raised ${alerts.length} alert(s).`,
+      '',
+      ...section('Score drops', drops),
+      ...section('Below target', belowTarget)
+    ].join('\n'),
+    payload: { event: 'score_alerts', date, runId, count: alerts.length, alerts }
+  };
+};
+
+// Send the alerts and store each channel's outcome on their rows
+const notifyAlerts = async (alerts, { date, runId, channels = configuredChannels } = {}) => {
+  if (!alerts.length || !channels.length) return {};
+  const delivery = await deliver(buildMessage(alerts, { date, runId }), channels);
+  await pool.query(
+    `UPDATE score_alerts
+     SET delivery = $2,
+         notified_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP ELSE notified_at END
+     WHERE id = ANY($1::int[])`,
+    [alerts.map(a => a.id), JSON.stringify(delivery), Object.values(delivery).some(result => result.ok)]
+  );
+  return delivery;
+};
+
+// Detect, store and send the alerts for one collection date. Alerts raised
+// by an earlier run for the same date are neither stored nor sent again.
+const checkRegressions = async ({ date, runId = null, settings = ALERT_SETTINGS }) => {
+  const detected = await detectRegressions(date, settings);
+  const raised = await recordAlerts(detected, runId);
+  const delivery = await notifyAlerts(raised, { date, runId });
+  if (raised.length) {
+    console.log(`?? ${raised.length} new score alert(s) for ${date}` +
+      (configuredChannels.length ? '' : ' (no ALERT_CHANNELS configured, stored only)'));
+  }
+  return {
+    detected: detected.length,
+    raised: raised.length,
+    drops: raised.filter(a => a.kind === 'drop').length,
+    belowTarget: raised.filter(a => a.kind === 'below_target').length,
+    delivery
+  };
+};
+
+// Send a sample message on every configured channel so the settings can be
+// checked without waiting for a real regression
+const sendTestAlert = (requestedBy) => {
+  const date = new Date().toISOString().split('T')[0];
+  const sample = {
+    id: null,
+    sid: 0,
+    name: 'Example site',
+    url: 'https://www.example.gov/',
+    groupId: null,
+    date,
+    metric: ALERT_METRIC,
+    kind: 'drop',
+    value: 48,
+    baseline: 60,
+    target: 70,
+    change: -12,
+    changePercent: -20,
+    details: { reasons: ['points', 'percent'], baselineDays: ALERT_SETTINGS.baselineDays, window: ALERT_SETTINGS.baselineDays }
+  };
+  const message = buildMessage([sample], { date, runId: null });
+  message.subject = `[DCI] Test alert requested by ${requestedBy}`;
+  message.payload.test = true;
+  return deliver(message);
+};
+
+/** ====== QUERIES ====== **/
+// Newest first. Filters: sid, kind, from/to (alert date), run id.
+const listAlerts = async ({ sid = null, kind = null, from = null, to = null, runId = null, limit = 100, offset = 0 } = {}) => {
+  const where = `WHERE ($1::int IS NULL OR sid = $1)
+       AND ($2::text IS NULL OR kind = $2)
+       AND ($3::date IS NULL OR date >= $3)
+       AND ($4::date IS NULL OR date <= $4)
+       AND ($5::int IS NULL OR run_id = $5)`;
+  const filters = [sid, kind, from, to, runId];
+
+  const [alerts, count] = await Promise.all([
+    pool.query(
+      `SELECT id, sid, name, url, group_id, to_char(date, 'YYYY-MM-DD') AS date, kind, metric,
+              value, baseline, target, change, change_percent, details, run_id, delivery, notified_at, created_at
+       FROM score_alerts
+       ${where}
+       ORDER BY date DESC, id DESC
+       LIMIT $6 OFFSET $7`,
+      [...filters, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) AS total FROM score_alerts ${where}`, filters)
+  ]);
+  return {
+    total: Number(count.rows[0].total),
+    alerts: alerts.rows.map(row => ({
+      ...row,
+      group_id: toNumber(row.group_id),
+      value: toNumber(row.value),
+      baseline: toNumber(row.baseline),
+      target: toNumber(row.target),
+      change: toNumber(row.change),
+      change_percent: toNumber(row.change_percent)
+    }))
+  };
+};
+
+module.exports = {
+  ALERT_KINDS,
+  ALERT_SETTINGS,
+  detectRegressions,
+  checkRegressions,
+  sendTestAlert,
+  listAlerts
+};
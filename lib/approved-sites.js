@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { pool, withTransaction } = require('./db');
+const { normalizeUrlKey } = require('./urls');
+const { httpError } = require('./errors');
+
+/** ====== AUDIT ====== **/
+const audit = (client, { siteId, urlKey, action, actor, details }) => client.query(
+  `INSERT INTO approved_sites_audit (approved_site_id, url_key, action, actor, details)
+   VALUES ($1, $2, $3, $4, $5)`,
+  [siteId || null, urlKey, action, actor || null, details ? JSON.stringify(details) : null]
+);
+
+const requireUrl = (url) => {
+  const trimmed = typeof url === 'string' ? url.trim() : '';
+  const urlKey = normalizeUrlKey(trimmed);
+  if (!urlKey) throw httpError(400, 'url is required');
+  return { url: trimmed, urlKey };
+};
+
+/** ====== CRUD ====== **/
+const listApprovedSites = async ({ includeRemoved = false } = {}) => {
+  const result = await pool.query(
+    `SELECT id, url, url_key, title, active, added_by, added_at, removed_by, removed_at
+     FROM approved_sites
+     WHERE $1 OR active
+     ORDER BY url_key`,
+    [includeRemoved]
+  );
+  return result.rows;
+};
+
+const getApprovedSite = async (id) => {
+  const result = await pool.query('SELECT * FROM approved_sites WHERE id = $1', [id]);
+  if (!result.rows.length) throw httpError(404, `Approved site ${id} not found`);
+  return result.rows[0];
+};
+
+// Adding a URL that was removed earlier restores the original entry
+const addApprovedSite = ({ url, title }, actor) => withTransaction(async (client) => {
+  const entry = requireUrl(url);
+  const existing = await client.query('SELECT * FROM approved_sites WHERE url_key = $1 FOR UPDATE', [entry.urlKey]);
+
+  if (existing.rows.length && existing.rows[0].active) {
+    throw httpError(409, `${entry.urlKey} is already approved`, { id: existing.rows[0].id });
+  }
+
+  let site;
+  if (existing.rows.length) {
+    site = (await client.query(
+      `UPDATE approved_sites
+       SET url = $2, title = COALESCE($3, title), active = true,
+           added_by = $4, added_at = CURRENT_TIMESTAMP, removed_by = NULL, removed_at = NULL
+       WHERE id = $1 RETURNING *`,
+      [existing.rows[0].id, entry.url, title || null, actor]
+    )).rows[0];
+    await audit(client, { siteId: site.id, urlKey: site.url_key, action: 'restore', actor, details: { url: site.url, title: site.title } });
+  } else {
+    site = (await client.query(
+      `INSERT INTO approved_sites (url, url_key, title, added_by)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [entry.url, entry.urlKey, title || null, actor]
+    )).rows[0];
+    await audit(client, { siteId: site.id, urlKey: site.url_key, action: 'add', actor, details: { url: site.url, title: site.title } });
+  }
+  return site;
+});
+
+const updateApprovedSite = (id, { url, title }, actor) => withTransaction(async (client) => {
+  const current = (await client.query('SELECT * FROM approved_sites WHERE id = $1 FOR UPDATE', [id])).rows[0];
+  if (!current) throw httpError(404, `Approved site ${id} not found`);
+
+  const next = url !== undefined ? requireUrl(url) : { url: current.url, urlKey: current.url_key };
+  const nextTitle = title !== undefined ? (title || null) : current.title;
+
+  if (next.urlKey !== current.url_key) {
+    const clash = await client.query('SELECT id FROM approved_sites WHERE url_key = $1 AND id <> $2', [next.urlKey, id]);
+    if (clash.rows.length) throw httpError(409, `${next.urlKey} already has an entry`, { id: clash.rows[0].id });
+  }
+
+  const site = (await client.query(
+    'UPDATE approved_sites SET url = $2, url_key = $3, title = $4 WHERE id = $1 RETURNING *',
+    [id, next.url, next.urlKey, nextTitle]
+  )).rows[0];
+  await audit(client, {
+    siteId: id,
+    urlKey: site.url_key,
+    action: 'update',
+    actor,
+    details: { from: { url: current.url, title: current.title }, to: { url: site.url, title: site.title } }
+  });
+  return site;
+});
+
+const removeApprovedSite = (id, actor, reason) => withTransaction(async (client) => {
+  const site = (await client.query(
+    `UPDATE approved_sites
+     SET active = false, removed_by = $2, removed_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND active RETURNING *`,
+    [id, actor]
+  )).rows[0];
+  if (!site) throw httpError(404, `Approved site ${id} not found or already removed`);
+  await audit(client, { siteId: id, urlKey: site.url_key, action: 'remove', actor, details: reason ? { reason } : null });
+  return site;
+});
+
+const listAudit = async ({ siteId, limit = 200 } = {}) => {
+  const result = await pool.query(
+    `SELECT id, approved_site_id, url_key, action, actor, details, at
+     FROM approved_sites_audit
+     WHERE ($1::int IS NULL OR approved_site_id = $1)
+     ORDER BY at DESC, id DESC
+     LIMIT $2`,
+    [siteId || null, limit]
+  );
+  return result.rows;
+};
+
+/** ====== IMPORT ====== **/
+// Legacy checklist formats:
+//   approved_sites.xlsx        first sheet, header row, Title in A and URL in B
+//   approved_sites_clean.json  [{ Title, URL }, ...]
+const parseApprovedSitesWorkbook = async (workbook) => {
+  const worksheet = workbook.getWorksheet(1);
+  if (!worksheet) throw httpError(400, 'Workbook has no worksheets');
+
+  const entries = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const url = row.getCell('B').text.trim();
+    if (url) entries.push({ url, title: row.getCell('A').text.trim() || null });
+  });
+  return entries;
+};
+
+const parseApprovedSitesXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (err) {
+    throw httpError(400, `Could not read workbook: ${err.message}`);
+  }
+  return parseApprovedSitesWorkbook(workbook);
+};
+
+const parseApprovedSitesJson = (data) => {
+  const list = Array.isArray(data) ? data : data && Array.isArray(data.sites) ? data.sites : null;
+  if (!list) throw httpError(400, 'Expected an array of { Title, URL } (or { url, title }) entries');
+  return list
+    .filter(x => x && (x.URL || x.url))
+    .map(x => ({ url: String(x.URL || x.url).trim(), title: x.Title || x.title || null }));
+};
+
+const readApprovedSitesFile = async (file) => {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.xlsx') return parseApprovedSitesXlsx(fs.readFileSync(file));
+  if (ext === '.json') return parseApprovedSitesJson(JSON.parse(fs.readFileSync(file, 'utf-8')));
+  throw new Error(`Unsupported approved-sites file type "${ext}" (use .xlsx or .json)`);
+};
+
+// Upsert every entry by url_key. With `replace`, active entries missing from
+// the import are removed, so the registry mirrors the imported list exactly.
+// A replacing import with no valid URL is refused rather than emptying the registry.
+const importApprovedSites = (entries, actor, { replace = false, source = null } = {}) => withTransaction(async (client) => {
+  const counts = { received: entries.length, added: 0, restored: 0, unchanged: 0, duplicates: 0, invalid: 0, removed: 0 };
+  const seen = new Set();
+
+  for (const raw of entries) {
+    const url = typeof raw.url === 'string' ? raw.url.trim() : '';
+    const urlKey = normalizeUrlKey(url);
+    if (!urlKey) { counts.invalid++; continue; }
+    if (seen.has(urlKey)) { counts.duplicates++; continue; }
+    seen.add(urlKey);
+
+    const existing = (await client.query('SELECT id, active FROM approved_sites WHERE url_key = $1 FOR UPDATE', [urlKey])).rows[0];
+    if (existing && existing.active) {
+      counts.unchanged++;
+    } else if (existing) {
+      await client.query(
+        `UPDATE approved_sites
+         SET active = true, added_by = $2, added_at = CURRENT_TIMESTAMP, removed_by = NULL, removed_at = NULL,
+             title = COALESCE($3, title)
+         WHERE id = $1`,
+        [existing.id, actor, raw.title || null]
+      );
+      await audit(client, { siteId: existing.id, urlKey, action: 'restore', actor, details: { source } });
+      counts.restored++;
+    } else {
+      const inserted = (await client.query(
+        'INSERT INTO approved_sites (url, url_key, title, added_by) VALUES ($1, $2, $3, $4) RETURNING id',
+        [url, urlKey, raw.title || null, actor]
+      )).rows[0];
+      await audit(client, { siteId: inserted.id, urlKey, action: 'add', actor, details: { source } });
+      counts.added++;
+    }
+  }
+
+  if (replace && !seen.size) {
+    throw httpError(400, `Refusing to replace the registry: the import has no valid URLs (${counts.received} received, ${counts.invalid} invalid)`);
+  }
+
+  if (replace) {
+    const removed = await client.query(
+      `UPDATE approved_sites
+       SET active = false, removed_by = $2, removed_at = CURRENT_TIMESTAMP
+       WHERE active AND NOT (url_key = ANY($1::text[]))
+       RETURNING id, url_key`,
+      [[...seen], actor]
+    );
+    for (const row of removed.rows) {
+      await audit(client, { siteId: row.id, urlKey: row.url_key, action: 'remove', actor, details: { source, reason: 'not in replacing import' } });
+    }
+    counts.removed = removed.rowCount;
+  }
+
+  return counts;
+});
+
+/** ====== COLLECTOR SCOPE ====== **/
+// Active url_keys, or null while the registry has never had an entry, so a
+// fresh install keeps collecting every site. Once any entry exists, removed
+// ones included, filtering stays on even if no entry is active.
+// Scripts with their own pool pass it as `db`.
+const loadApprovedKeys = async (db = pool) => {
+  const result = await db.query('SELECT url_key, active FROM approved_sites');
+  if (!result.rows.length) return null;
+  return new Set(result.rows.filter(row => row.active).map(row => row.url_key));
+};
+
+// Split a Siteimprove site list into approved and unapproved sites
+const filterApprovedSites = async (sites, db = pool) => {
+  const approvedKeys = await loadApprovedKeys(db);
+  if (!approvedKeys) {
+    return { sites, unapproved: [], registryActive: false, approvedCount: 0 };
+  }
+  const approved = [];
+  const unapproved = [];
+  for (const site of sites) {
+    (approvedKeys.has(normalizeUrlKey(site.url)) ? approved : unapproved).push(site);
+  }
+  return { sites: approved, unapproved, registryActive: true, approvedCount: approvedKeys.size };
+};
+
+module.exports = {
+  listApprovedSites,
+  getApprovedSite,
+  addApprovedSite,
+  updateApprovedSite,
+  removeApprovedSite,
+  listAudit,
+  parseApprovedSitesXlsx,
+  parseApprovedSitesJson,
+  readApprovedSitesFile,
+  importApprovedSites,
+  loadApprovedKeys,
+  filterApprovedSites
+};
@@ -0,0 +1,38 @@
+const { pool } = require('./db');
+
+/** ====== AUDIT LOG ====== **/
+// Who did what: one audit_log row per operator action (and per refused
+// attempt). Writing never throws; a failed write is logged so the request
+// that caused it still completes.
+const recordAudit = async ({ actor, actorType, action, status = null, details = null, ip = null }) => {
+  try {
+    await pool.query(
+      `INSERT INTO audit_log (actor, actor_type, action, status, details, ip)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [actor, actorType, action, status, details ? JSON.stringify(details) : null, ip]
+    );
+  } catch (err) {
+    console.error(`? Could not write audit log entry "${action}" by ${actor}: ${err.message}`);
+  }
+};
+
+// Newest first, optionally narrowed to one actor
+const listAuditLog = async ({ actor = null, limit = 100, offset = 0 } = {}) => {
+  const [entries, count] = await Promise.all([
+    pool.query(
+      `SELECT id, actor, actor_type, action, status, details, ip, at
+       FROM audit_log
+       WHERE ($1::text IS NULL OR actor = $1)
+       ORDER BY at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [actor, limit, offset]
+    ),
+    pool.query('SELECT COUNT(*) AS total FROM audit_log WHERE ($1::text IS NULL OR actor = $1)', [actor])
+  ]);
+  return { total: Number(count.rows[0].total), entries: entries.rows };
+};
+
+module.exports = {
+  recordAudit,
+  listAuditLog
+};
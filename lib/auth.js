@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const { pool } = require('./db');
+const { httpError } = require('./errors');
+const { recordAudit } = require('./audit');
+
+/** ====== ROLES ====== **/
+// Ordered: each role can do everything the roles before it can
+//   viewer   - dashboards, status, reports, run history
+//   operator - also /run-now, /run-batch, cleanup and approved-site changes
+const ROLES = ['viewer', 'operator'];
+
+const hasRole = (identity, role) => !!identity && ROLES.indexOf(identity.role) >= ROLES.indexOf(role);
+
+const requireValidRole = (role) => {
+  if (!ROLES.includes(role)) throw httpError(400, `role must be one of: ${ROLES.join(', ')}`);
+  return role;
+};
+
+// Local development only: every request acts as an operator
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+
+const SESSION_COOKIE = 'dci_session';
+const SESSION_TTL_HOURS = Math.max(1, Number(process.env.SESSION_TTL_HOURS) || 12);
+const MIN_PASSWORD_LENGTH = 10;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/** ====== PASSWORDS ====== **/
+// Stored as scrypt$<salt hex>$<key hex>
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, 64, (err, key) => (err ? reject(err) : resolve(key)));
+});
+
+const hashPassword = async (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, saltHex, keyHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+  const key = await scrypt(String(password || ''), Buffer.from(saltHex, 'hex'));
+  const expected = Buffer.from(keyHex, 'hex');
+  return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+};
+
+/** ====== USERS ====== **/
+const listUsers = async () => {
+  const result = await pool.query(
+    'SELECT id, username, role, active, created_at, last_login_at FROM users ORDER BY username'
+  );
+  return result.rows;
+};
+
+const createUser = async ({ username, password, role = 'viewer' }) => {
+  if (!username || !/^[\w.@-]{2,100}$/.test(username)) {
+    throw httpError(400, 'username must be 2-100 letters, digits or . _ @ -');
+  }
+  requireValidRole(role);
+  const passwordHash = await hashPassword(password);
+  const result = await pool.query(
+    `INSERT INTO users (username, password_hash, role) VALUES ($1, $2, $3)
+     ON CONFLICT (username) DO NOTHING
+     RETURNING id, username, role, active, created_at`,
+    [username, passwordHash, role]
+  );
+  if (!result.rows.length) throw httpError(409, `User ${username} already exists`);
+  return result.rows[0];
+};
+
+// Change any of password, role, active. Disabling a user or changing the
+// password ends their sessions.
+const updateUser = async (username, { password, role, active }) => {
+  const passwordHash = password !== undefined ? await hashPassword(password) : null;
+  if (role !== undefined) requireValidRole(role);
+
+  const result = await pool.query(
+    `UPDATE users
+     SET password_hash = COALESCE($2, password_hash), role = COALESCE($3, role), active = COALESCE($4, active)
+     WHERE username = $1
+     RETURNING id, username, role, active`,
+    [username, passwordHash, role ?? null, active ?? null]
+  );
+  if (!result.rows.length) throw httpError(404, `User ${username} not found`);
+  if (passwordHash || active === false) {
+    await pool.query('DELETE FROM sessions WHERE user_id = $1', [result.rows[0].id]);
+  }
+  return result.rows[0];
+};
+
+/** ====== API TOKENS ====== **/
+// The token is returned once, at creation; only its hash is stored
+const createApiToken = async ({ name, role = 'viewer', createdBy = null }) => {
+  if (!name) throw httpError(400, 'Token name is required');
+  requireValidRole(role);
+  const token = `dci_${crypto.randomBytes(32).toString('base64url')}`;
+  const result = await pool.query(
+    `INSERT INTO api_tokens (name, token_hash, token_prefix, role, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, name, token_prefix, role, created_by, created_at`,
+    [name, sha256(token), token.slice(0, 12), role, createdBy]
+  );
+  return { ...result.rows[0], token };
+};
+
+const listApiTokens = async () => {
+  const result = await pool.query(
+    `SELECT id, name, token_prefix, role, created_by, created_at, last_used_at, revoked_at
+     FROM api_tokens ORDER BY created_at DESC`
+  );
+  return result.rows;
+};
+
+const revokeApiToken = async (id) => {
+  const result = await pool.query(
+    'UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL RETURNING id, name',
+    [id]
+  );
+  if (!result.rows.length) throw httpError(404, `Active token ${id} not found`);
+  return result.rows[0];
+};
+
+/** ====== SESSIONS ====== **/
+// Returns { token, user, expiresAt }, or null for a wrong username/password
+const login = async (username, password) => {
+  const user = (await pool.query(
+    'SELECT id, username, role, active, password_hash FROM users WHERE username = $1',
+    [username || '']
+  )).rows[0];
+  // Hash even for unknown users so timing does not reveal which names exist
+  const valid = await verifyPassword(password, user ? user.password_hash : 'scrypt$00$00');
+  if (!user || !user.active || !valid) return null;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const session = (await pool.query(
+    `INSERT INTO sessions (token_hash, user_id, expires_at)
+     VALUES ($1, $2, CURRENT_TIMESTAMP + $3 * INTERVAL '1 hour')
+     RETURNING expires_at`,
+    [sha256(token), user.id, SESSION_TTL_HOURS]
+  )).rows[0];
+  await pool.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [user.id]);
+  await pool.query('DELETE FROM sessions WHERE expires_at < CURRENT_TIMESTAMP');
+
+  return { token, user: { id: user.id, username: user.username, role: user.role }, expiresAt: session.expires_at };
+};
+
+const logout = async (token) => {
+  if (token) await pool.query('DELETE FROM sessions WHERE token_hash = $1', [sha256(token)]);
+};
+
+/** ====== REQUEST IDENTITY ====== **/
+// Cookies are shared by every app on the host, so a malformed value from
+// another app is skipped instead of failing authentication.
+const parseCookies = (header) => {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index <= 0) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (err) {
+      // Not valid percent-encoding
+    }
+  }
+  return cookies;
+};
+
+const sessionToken = (req) => parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+
+// Who is calling: a Bearer API token wins over the session cookie.
+// Resolves to { type, id, name, role } or null.
+const resolveIdentity = async (req) => {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    const row = (await pool.query(
+      `UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND revoked_at IS NULL
+       RETURNING id, name, role`,
+      [sha256(header.slice('Bearer '.length).trim())]
+    )).rows[0];
+    return row ? { type: 'token', id: row.id, name: `token:${row.name}`, role: row.role } : null;
+  }
+
+  const token = sessionToken(req);
+  if (!token) return null;
+  const row = (await pool.query(
+    `SELECT u.id, u.username, u.role
+     FROM sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP AND u.active`,
+    [sha256(token)]
+  )).rows[0];
+  return row ? { type: 'user', id: row.id, name: row.username, role: row.role } : null;
+};
+
+/** ====== MIDDLEWARE ====== **/
+// Paths reachable without signing in
+const PUBLIC_PATHS = ['/login.html', '/auth/login', '/auth/logout'];
+
+const isPageRequest = (req) => req.method === 'GET' && (req.path === '/' || req.path.endsWith('.html'));
+
+// Every request needs a signed-in user or an API token. Pages redirect to the
+// login page; everything else gets a 401.
+const authenticate = async (req, res, next) => {
+  if (AUTH_DISABLED) {
+    req.identity = { type: 'anonymous', id: null, name: 'anonymous', role: 'operator' };
+    return next();
+  }
+  if (PUBLIC_PATHS.includes(req.path)) return next();
+
+  try {
+    req.identity = await resolveIdentity(req);
+  } catch (err) {
+    console.error('? Authentication lookup failed:', err.message);
+    return res.status(500).json({ error: 'Authentication lookup failed' });
+  }
+  if (req.identity) return next();
+
+  if (isPageRequest(req)) {
+    return res.redirect(`/login.html?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  res.status(401).json({ error: 'Sign in or send an API token (Authorization: Bearer <token>)' });
+};
+
+const auditActor = (req) => ({
+  actor: req.identity ? req.identity.name : 'anonymous',
+  actorType: req.identity ? req.identity.type : 'anonymous',
+  ip: req.ip
+});
+
+// 403 unless the caller has at least `role`; refusals are audited
+const requireRole = (role) => (req, res, next) => {
+  if (hasRole(req.identity, role)) return next();
+  recordAudit({ ...auditActor(req), action: `denied: ${req.method} ${req.path}`, status: 403, details: { required: role } });
+  res.status(403).json({ error: `This action needs the ${role} role` });
+};
+
+// Record the request in audit_log once it has been answered, with its status
+// and anything the handler put in res.locals.audit (a job id, for example)
+const audited = (action) => (req, res, next) => {
+  res.on('finish', () => {
+    recordAudit({
+      ...auditActor(req),
+      action,
+      status: res.statusCode,
+      details: {
+        method: req.method,
+        path: req.originalUrl,
+        ...(res.locals.audit || {})
+      }
+    });
+  });
+  next();
+};
+
+module.exports = {
+  ROLES,
+  AUTH_DISABLED,
+  SESSION_COOKIE,
+  SESSION_TTL_HOURS,
+  hasRole,
+  listUsers,
+  createUser,
+  updateUser,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  login,
+  logout,
+  sessionToken,
+  authenticate,
+  requireRole,
+  audited
+};
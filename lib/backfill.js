@@ -0,0 +1,457 @@
+const fs = require('fs');
+const path = require('path');
+const { pool, openRollbackSession } = require('./db');
+const { fetchAccessibilitySites, getRequestStats } = require('./siteimprove');
+const { filterApprovedSites } = require('./approved-sites');
+const { createHistoryCache } = require('./history');
+const { parseDciCategories, parseHistoryLevels, hasNoLevels } = require('./dci');
+const { assertScoreTable, insertScores, loadStoredKeys } = require('./scores');
+const { validateDateRange } = require('./dates');
+const { csvRow } = require('./csv');
+
+const LOG_DIR = path.join(__dirname, '..', 'logs');
+
+// Sites handled per round of updates; keeps each Promise.all small
+const BATCH_SIZE = 20;
+
+/** ====== DATES ====== **/
+// Every YYYY-MM-DD from start to end inclusive, stepping in UTC so a DST
+// change can never repeat or skip a day
+const eachDate = (start, end) => {
+  const dates = [];
+  const current = new Date(`${start}T00:00:00Z`);
+  const last = new Date(`${end}T00:00:00Z`);
+  while (current <= last) {
+    dates.push(current.toISOString().split('T')[0]);
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+  return dates;
+};
+
+// A dry run only names the file it would have written
+const writeMissingTargetLog = (dateStr, missingTargetLogs, { dryRun = false } = {}) => {
+  const csvPath = path.join(LOG_DIR, `missing_site_target_${dateStr}.csv`);
+  if (dryRun) {
+    console.log(`Log not saved (dry run): ${csvPath}`);
+    return csvPath;
+  }
+  if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
+
+  const csvContent =
+    csvRow(['Site ID', 'Site Name', 'Date', 'Reason']) +
+    missingTargetLogs.map(log => csvRow([log.sid, log.name, log.date, log.reason])).join('');
+  fs.writeFileSync(csvPath, csvContent, 'utf8');
+  console.log(`Log saved: ${csvPath}`);
+  return csvPath;
+};
+
+/** ====== SCOPE ====== **/
+// Listed accessibility sites narrowed to the approved registry and, when
+// given, to `sids`; the listing figures go into `stats`
+const loadBackfillSites = async (stats, sids = null) => {
+  const listing = await fetchAccessibilitySites();
+  if (!listing.complete) console.warn(`Incomplete site listing: ${listing.summary}`);
+
+  const { sites, unapproved, registryActive, approvedCount } = await filterApprovedSites(listing.sites);
+  const scoped = sids ? sites.filter(site => sids.includes(Number(site.id))) : sites;
+  stats.sitesListed = listing.sites.length;
+  stats.listingComplete = listing.complete;
+  stats.approvedRegistryActive = registryActive;
+  stats.skippedUnapproved = unapproved.length;
+  stats.sitesInScope = scoped.length;
+  console.log(`Accessible sites pulled: ${listing.sites.length}`);
+  console.log(
+    registryActive
+      ? `Approved registry: ${approvedCount} entries | Sites in scope: ${sites.length} | Not approved: ${unapproved.length}`
+      : 'Approved registry has never had an entry, processing every accessible site'
+  );
+  if (sids) console.log(`Site filter: ${scoped.length} of ${sids.length} requested site(s) in scope`);
+  return scoped;
+};
+
+// Where a run's writes go: the pool, or for a dry run one session rolled
+// back at the end, so rowCounts still say how many rows would have changed
+const openWriter = async (dryRun) => (dryRun
+  ? openRollbackSession()
+  : { query: (sql, params) => pool.query(sql, params), close: async () => {} });
+
+const recordApiStats = (stats, apiBefore, history, startedAt) => {
+  const apiAfter = getRequestStats();
+  stats.historyFetches = history.stats.fetched;
+  stats.apiRequests = apiAfter.requests - apiBefore.requests;
+  stats.apiRetries = apiAfter.retries - apiBefore.retries;
+  stats.apiRateLimited = apiAfter.rateLimited - apiBefore.rateLimited;
+  stats.durationMs = Date.now() - startedAt;
+};
+
+/** ====== SCORE BACKFILL ====== **/
+// Fill site_target_score and the DCI overall/QA/SEO columns on existing
+// ada_scores rows for every date in [start, end] (YYYY-MM-DD, checked with
+// validateDateRange, so a bad range throws a 400 httpError). Only NULL
+// columns are written. `progress` (optional) is updated in place as sites
+// and dates complete so a caller can report it while the backfill runs.
+// `table` picks ada_scores or ada_scores_backup, `sids` narrows the sites
+// and `dryRun` rolls every update back (the counts are still exact).
+const runScoreBackfill = async ({ start, end, table = 'ada_scores', dryRun = false, sids = null, progress = {} }) => {
+  validateDateRange({ start, end });
+  assertScoreTable(table);
+  const startedAt = Date.now();
+  const apiBefore = getRequestStats();
+  const dates = eachDate(start, end);
+  const stats = {
+    start,
+    end,
+    table,
+    dryRun,
+    sids,
+    days: dates.length,
+    sitesListed: 0,
+    listingComplete: false,
+    approvedRegistryActive: false,
+    skippedUnapproved: 0,
+    sitesInScope: 0,
+    rowsTagged: 0,
+    targetsUpdated: 0,
+    dciFilled: 0,
+    missingTargets: 0,
+    fetchErrors: 0,
+    updateErrors: 0,
+    missingTargetLogs: [],
+    historyFetches: 0,
+    apiRequests: 0,
+    apiRetries: 0,
+    apiRateLimited: 0,
+    durationMs: null
+  };
+
+  Object.assign(progress, { phase: 'listing', unit: 'site-days', done: 0, total: 0, daysDone: 0, daysTotal: dates.length, currentDate: null, errors: 0 });
+
+  const db = await openWriter(dryRun);
+  try {
+    const sites = await loadBackfillSites(stats, sids);
+
+    // Tag rows collected before group tracking existed with their group id
+    const sidsByGroup = new Map();
+    for (const site of sites) {
+      if (!sidsByGroup.has(site.group_id)) sidsByGroup.set(site.group_id, []);
+      sidsByGroup.get(site.group_id).push(site.id);
+    }
+    for (const [groupId, groupSids] of sidsByGroup) {
+      const tagged = await db.query(
+        `UPDATE ${table} SET group_id = $1 WHERE sid = ANY($2) AND group_id IS NULL`,
+        [groupId, groupSids]
+      );
+      stats.rowsTagged += tagged.rowCount;
+      if (tagged.rowCount > 0) {
+        console.log(`Tagged ${tagged.rowCount} existing rows with group ${groupId}`);
+      }
+    }
+
+    const history = createHistoryCache();
+    const missingTargetLogs = [];
+    progress.phase = 'backfilling';
+    progress.total = dates.length * sites.length;
+
+    for (const dateStr of dates) {
+      console.log(`Processing: ${dateStr}`);
+      progress.currentDate = dateStr;
+
+      for (let i = 0; i < sites.length; i += BATCH_SIZE) {
+        const batch = sites.slice(i, i + BATCH_SIZE);
+        const updates = [];
+        const dciUpdates = [];
+
+        for (const site of batch) {
+          try {
+            // Fetched once per site for the whole range, then looked up by date
+            const targetEntry = (await history.targetHistory(site.id)).get(dateStr);
+
+            if (targetEntry) {
+              const score = parseFloat(targetEntry.site_target_percentage);
+              if (!Number.isNaN(score)) {
+                updates.push({ sid: site.id, date: dateStr, score, groupId: site.group_id });
+              } else {
+                missingTargetLogs.push({ sid: site.id, name: site.site_name, date: dateStr, reason: 'site_target_percentage not a number' });
+              }
+            } else {
+              console.log(`Missing site_target_percentage for ${site.site_name} on ${dateStr}`);
+              missingTargetLogs.push({ sid: site.id, name: site.site_name, date: dateStr, reason: 'No site_target_percentage' });
+            }
+          } catch (err) {
+            console.error(`Error fetching for ${site.site_name}:`, err.message);
+            stats.fetchErrors++;
+            missingTargetLogs.push({ sid: site.id, name: site.site_name, date: dateStr, reason: `Fetch error: ${err.message}` });
+          }
+
+          // DCI overall/QA/SEO scores for rows stored before they were tracked
+          try {
+            const dciEntry = (await history.dciHistory(site.id)).get(dateStr);
+            if (dciEntry) {
+              const dci = parseDciCategories(dciEntry);
+              if (dci.dci_total !== null || dci.dci_qa !== null || dci.dci_seo !== null) {
+                dciUpdates.push({ sid: site.id, date: dateStr, ...dci });
+              }
+            }
+          } catch (err) {
+            console.error(`Error fetching DCI history for ${site.site_name}:`, err.message);
+            stats.fetchErrors++;
+          }
+
+          progress.done++;
+          progress.errors = stats.fetchErrors + stats.updateErrors;
+        }
+
+        if (updates.length > 0) {
+          try {
+            const results = await Promise.all(updates.map(u =>
+              db.query(
+                `UPDATE ${table}
+                 SET site_target_score = $1, group_id = COALESCE(group_id, $4)
+                 WHERE sid = $2 AND date = $3 AND site_target_score IS NULL`,
+                [u.score, u.sid, u.date, u.groupId]
+              )
+            ));
+            const updated = results.reduce((n, r) => n + r.rowCount, 0);
+            stats.targetsUpdated += updated;
+            console.log(`Batch updated ${updated} site_target_scores for ${dateStr}`);
+          } catch (err) {
+            stats.updateErrors++;
+            console.error('Batch update error:', err.message);
+          }
+        }
+
+        if (dciUpdates.length > 0) {
+          try {
+            const results = await Promise.all(dciUpdates.map(u =>
+              db.query(
+                `UPDATE ${table}
+                 SET dci_total = COALESCE(dci_total, $1), dci_qa = COALESCE(dci_qa, $2), dci_seo = COALESCE(dci_seo, $3)
+                 WHERE sid = $4 AND date = $5 AND (dci_total IS NULL OR dci_qa IS NULL OR dci_seo IS NULL)`,
+                [u.dci_total, u.dci_qa, u.dci_seo, u.sid, u.date]
+              )
+            ));
+            const filled = results.reduce((n, r) => n + r.rowCount, 0);
+            stats.dciFilled += filled;
+            if (filled > 0) console.log(`Filled DCI scores on ${filled} rows for ${dateStr}`);
+          } catch (err) {
+            stats.updateErrors++;
+            console.error('DCI update error:', err.message);
+          }
+        }
+        progress.errors = stats.fetchErrors + stats.updateErrors;
+      }
+
+      if (missingTargetLogs.length > 0) {
+        stats.missingTargets += missingTargetLogs.length;
+        const logPath = writeMissingTargetLog(dateStr, missingTargetLogs, { dryRun });
+        if (!dryRun) stats.missingTargetLogs.push(logPath);
+        missingTargetLogs.length = 0; // reset for next day
+      }
+      progress.daysDone++;
+    }
+
+    recordApiStats(stats, apiBefore, history, startedAt);
+    progress.phase = 'done';
+
+    console.log(history.summary());
+  } finally {
+    await db.close();
+  }
+  return stats;
+};
+
+/** ====== HISTORY BACKFILL ====== **/
+// Score columns an existing row may have empty: NULL levels left by earlier
+// history backfills and DCI categories from before they were stored
+const FILLABLE_COLUMNS = ['ada_a', 'ada_aa', 'ada_aaa', 'ada_aria', 'ada_score_total', 'dci_total', 'dci_qa', 'dci_seo'];
+
+// Rebuild score rows for every date in [start, end] from the DCI, per-level
+// accessibility and target history endpoints: (sid, date) pairs with no row
+// are inserted with backfilled = true, existing rows only get their NULL
+// score columns filled. Rows left with no level at all are counted in
+// `noLevels`. Same options as runScoreBackfill.
+const runHistoryBackfill = async ({ start, end, table = 'ada_scores', dryRun = false, sids = null, progress = {} }) => {
+  validateDateRange({ start, end });
+  assertScoreTable(table);
+  const startedAt = Date.now();
+  const apiBefore = getRequestStats();
+  const dates = eachDate(start, end);
+  const stats = {
+    start,
+    end,
+    table,
+    dryRun,
+    sids,
+    days: dates.length,
+    sitesListed: 0,
+    listingComplete: false,
+    approvedRegistryActive: false,
+    skippedUnapproved: 0,
+    sitesInScope: 0,
+    inserted: 0,
+    filled: 0,
+    unchanged: 0,
+    noHistory: 0,
+    noLevels: 0,
+    missingTargets: 0,
+    fetchErrors: 0,
+    updateErrors: 0,
+    historyFetches: 0,
+    apiRequests: 0,
+    apiRetries: 0,
+    apiRateLimited: 0,
+    durationMs: null
+  };
+
+  Object.assign(progress, { phase: 'listing', unit: 'site-days', done: 0, total: 0, daysDone: 0, daysTotal: dates.length, currentDate: null, errors: 0 });
+
+  const db = await openWriter(dryRun);
+  try {
+    const sites = await loadBackfillSites(stats, sids);
+    const history = createHistoryCache({ start, end });
+    progress.phase = 'backfilling';
+    progress.total = dates.length * sites.length;
+
+    for (const dateStr of dates) {
+      console.log(`Processing: ${dateStr}`);
+      progress.currentDate = dateStr;
+      const stored = await loadStoredKeys([dateStr], pool, { table });
+
+      for (let i = 0; i < sites.length; i += BATCH_SIZE) {
+        const fresh = [];
+        const existing = [];
+
+        for (const site of sites.slice(i, i + BATCH_SIZE)) {
+          try {
+            const dciEntry = (await history.dciHistory(site.id)).get(dateStr);
+            if (!dciEntry) {
+              stats.noHistory++;
+            } else {
+              // A missing target costs only the target, not the row
+              let siteTarget = null;
+              try {
+                const targetEntry = (await history.targetHistory(site.id)).get(dateStr);
+                const target = targetEntry ? parseFloat(targetEntry.site_target_percentage) : NaN;
+                if (Number.isNaN(target)) stats.missingTargets++;
+                else siteTarget = target;
+              } catch (err) {
+                stats.fetchErrors++;
+                stats.missingTargets++;
+                console.error(`Error fetching target history for ${site.site_name}:`, err.message);
+              }
+
+              // Same for the per-level history: the DCI entry's breakdown stands in
+              let a11yEntry;
+              try {
+                a11yEntry = (await history.a11yHistory(site.id)).get(dateStr);
+              } catch (err) {
+                stats.fetchErrors++;
+                console.error(`Error fetching accessibility history for ${site.site_name}:`, err.message);
+              }
+
+              const record = {
+                sid: Number(site.id),
+                name: site.site_name,
+                url: site.url,
+                ...parseHistoryLevels(a11yEntry, dciEntry),
+                site_target_score: siteTarget,
+                date: dateStr,
+                group_id: site.group_id,
+                ...parseDciCategories(dciEntry)
+              };
+              if (hasNoLevels(record)) stats.noLevels++;
+              (stored.has(`${record.sid}|${dateStr}`) ? existing : fresh).push(record);
+            }
+          } catch (err) {
+            console.error(`Error fetching DCI history for ${site.site_name}:`, err.message);
+            stats.fetchErrors++;
+          }
+          progress.done++;
+          progress.errors = stats.fetchErrors + stats.updateErrors;
+        }
+
+        if (fresh.length) {
+          try {
+            const inserted = await insertScores(fresh, db, { table, backfilled: true });
+            stats.inserted += inserted.size;
+            // Rows another writer added meanwhile are left as they are
+            stats.unchanged += fresh.length - inserted.size;
+          } catch (err) {
+            stats.updateErrors++;
+            console.error('History insert error:', err.message);
+          }
+        }
+
+        for (const record of existing) {
+          const columns = FILLABLE_COLUMNS.filter(column => record[column] !== null && record[column] !== undefined);
+          if (!columns.length) {
+            stats.unchanged++;
+            continue;
+          }
+          try {
+            const result = await db.query(
+              `UPDATE ${table}
+               SET ${columns.map((column, n) => `${column} = COALESCE(${column}, $${n + 3})`).join(', ')}
+               WHERE sid = $1 AND date = $2 AND (${columns.map(column => `${column} IS NULL`).join(' OR ')})`,
+              [record.sid, record.date, ...columns.map(column => record[column])]
+            );
+            if (result.rowCount) stats.filled++;
+            else stats.unchanged++;
+          } catch (err) {
+            stats.updateErrors++;
+            console.error(`Score fill failed for ${record.name} on ${record.date}: ${err.message}`);
+          }
+        }
+        progress.errors = stats.fetchErrors + stats.updateErrors;
+      }
+
+      progress.daysDone++;
+    }
+
+    recordApiStats(stats, apiBefore, history, startedAt);
+    progress.phase = 'done';
+
+    console.log(history.summary());
+  } finally {
+    await db.close();
+  }
+  return stats;
+};
+
+/** ====== SUMMARIES ====== **/
+const runScope = (stats) => [
+  stats.table !== 'ada_scores' && `Table: ${stats.table}`,
+  stats.sids && `Site filter: ${stats.sids.length} site(s), ${stats.sitesInScope} in scope`
+];
+
+const scoreBackfillSummary = (label, stats) => [
+  `? ${label} (${stats.start} to ${stats.end}) complete${stats.dryRun ? ' (dry run, nothing written)' : ''}.`,
+  ...runScope(stats),
+  `Target scores: ${stats.targetsUpdated}`,
+  `DCI rows filled: ${stats.dciFilled}`,
+  `Missing targets: ${stats.missingTargets}`,
+  `Errors: ${stats.fetchErrors + stats.updateErrors}`,
+  `Duration: ${(stats.durationMs / 1000).toFixed(1)}s`
+].filter(Boolean).join(' | ');
+
+const historyBackfillSummary = (label, stats) => [
+  `? ${label} (${stats.start} to ${stats.end}) complete${stats.dryRun ? ' (dry run, nothing written)' : ''}.`,
+  ...runScope(stats),
+  `Rows inserted: ${stats.inserted}`,
+  `Rows filled: ${stats.filled}`,
+  `Unchanged: ${stats.unchanged}`,
+  `No history: ${stats.noHistory}`,
+  `No per-level scores: ${stats.noLevels}`,
+  `Missing targets: ${stats.missingTargets}`,
+  `Errors: ${stats.fetchErrors + stats.updateErrors}`,
+  `API requests: ${stats.apiRequests}`,
+  `Duration: ${(stats.durationMs / 1000).toFixed(1)}s`
+].filter(Boolean).join(' | ');
+
+module.exports = {
+  eachDate,
+  runScoreBackfill,
+  runHistoryBackfill,
+  scoreBackfillSummary,
+  historyBackfillSummary
+};
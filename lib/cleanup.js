@@ -0,0 +1,127 @@
+const { pool, logErrorToDatabase } = require('./db');
+const { fetchAccessibilitySites } = require('./siteimprove');
+const { filterApprovedSites } = require('./approved-sites');
+const { SCORE_TABLES, assertScoreTable } = require('./scores');
+const { httpError } = require('./errors');
+
+/** ====== SCOPE ====== **/
+// Tables the cleanup may touch
+const CLEANUP_TABLES = SCORE_TABLES;
+
+const OUT_OF_SCOPE_REASON = 'Site no longer listed with accessibility in the configured groups';
+const UNAPPROVED_REASON = 'Site not in approved_sites registry';
+
+// In-scope site ids according to Siteimprove and the approved_sites registry,
+// plus the listed ids the registry excludes (so each row gets the right reason).
+// Refuses to answer from a partial listing: a short page would otherwise look
+// like hundreds of removed sites. Refusals are 502 when Siteimprove's answer is
+// at fault and 409 when the registry matches nothing.
+const loadScope = async () => {
+  const listing = await fetchAccessibilitySites();
+  if (!listing.complete) {
+    throw httpError(502, `Refusing to clean up from an incomplete site listing. ${listing.summary}`);
+  }
+  if (!listing.sites.length) {
+    throw httpError(502, 'Refusing to clean up: Siteimprove returned no accessibility sites');
+  }
+  const { sites, unapproved, registryActive } = await filterApprovedSites(listing.sites);
+  if (registryActive && !sites.length) {
+    throw httpError(409, 'Refusing to clean up: no listed site matches the approved_sites registry');
+  }
+  return {
+    inScope: sites.map(site => site.id),
+    unapproved: unapproved.map(site => site.id)
+  };
+};
+
+const REASON_SQL = 'CASE WHEN sid = ANY($2::int[]) THEN $3 ELSE $4 END';
+
+// Out-of-scope rows, optionally only those of `sids` and within [from, to]
+const REMOVABLE_SQL = `NOT (sid = ANY($1::int[]))
+  AND ($5::int[] IS NULL OR sid = ANY($5))
+  AND ($6::date IS NULL OR date >= $6)
+  AND ($7::date IS NULL OR date <= $7)`;
+
+/** ====== CLEANUP ====== **/
+// Remove every row whose site is out of scope, archiving each removed row in
+// deletion_log in the same statement. With `dryRun` nothing is changed and the
+// result lists what would have been removed. `sids`, `from` and `to` narrow
+// which out-of-scope rows are touched; they never widen the scope check.
+const runCleanup = async ({ table = 'ada_scores', dryRun = false, sids = null, from = null, to = null } = {}) => {
+  assertScoreTable(table);
+
+  const { inScope, unapproved } = await loadScope();
+  const params = [inScope, unapproved, UNAPPROVED_REASON, OUT_OF_SCOPE_REASON, sids, from, to];
+
+  let rows;
+  if (dryRun) {
+    const result = await pool.query(
+      `SELECT sid, name, ${REASON_SQL} AS reason FROM ${table} WHERE ${REMOVABLE_SQL}`,
+      params
+    );
+    rows = result.rows;
+  } else {
+    const result = await pool.query(
+      `WITH removed AS (
+         DELETE FROM ${table} WHERE ${REMOVABLE_SQL} RETURNING *
+       )
+       INSERT INTO deletion_log (source_table, sid, name, url, date, reason, row_data)
+       SELECT $8, sid, name, url, date, ${REASON_SQL}, to_jsonb(removed) FROM removed
+       RETURNING sid, name, reason`,
+      [...params, table]
+    );
+    rows = result.rows;
+  }
+
+  const bySite = new Map();
+  for (const row of rows) {
+    const entry = bySite.get(row.sid) || { sid: row.sid, name: row.name, reason: row.reason, rows: 0 };
+    entry.rows++;
+    bySite.set(row.sid, entry);
+  }
+
+  const summary = {
+    table,
+    dryRun,
+    sids,
+    from,
+    to,
+    inScopeSites: inScope.length,
+    unapprovedSites: unapproved.length,
+    removedRows: rows.length,
+    removedSites: bySite.size,
+    sites: [...bySite.values()].sort((a, b) => b.rows - a.rows)
+  };
+
+  if (!dryRun && rows.length) {
+    await logErrorToDatabase(null, 'Cleanup', `Removed ${rows.length} ${table} rows for ${bySite.size} out-of-scope sites`, 'INFO');
+  }
+  return summary;
+};
+
+/** ====== DELETION LOG ====== **/
+const deletionSummaryByMonth = async () => {
+  const result = await pool.query(`
+    SELECT to_char(deleted_at, 'YYYY-MM') AS month, COUNT(*) AS count
+    FROM deletion_log
+    GROUP BY 1
+    ORDER BY 1 DESC
+  `);
+  return result.rows;
+};
+
+const fullDeletionLog = async () => {
+  const result = await pool.query(`
+    SELECT id, source_table, sid, name, url, to_char(date, 'YYYY-MM-DD') AS date, reason, deleted_at
+    FROM deletion_log
+    ORDER BY deleted_at DESC, id DESC
+  `);
+  return result.rows;
+};
+
+module.exports = {
+  CLEANUP_TABLES,
+  runCleanup,
+  deletionSummaryByMonth,
+  fullDeletionLog
+};
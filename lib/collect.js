@@ -0,0 +1,292 @@
+const { pool, logErrorToDatabase } = require('./db');
+const { fetchAccessibilitySites, siteimproveGet, getRequestStats } = require('./siteimprove');
+const { mapWithConcurrency, percentile } = require('./concurrency');
+const { parseDciCategories, parseA11yLevels } = require('./dci');
+const { filterApprovedSites } = require('./approved-sites');
+const { WRITE_BATCH_SIZE, assertScoreTable, loadStoredKeys, createScoreWriter } = require('./scores');
+const { checkRegressions } = require('./alerts');
+
+/** ====== UTIL ====== **/
+const logMemoryUsage = () => {
+  const used = process.memoryUsage();
+  console.log(
+    `?? Memory - RSS: ${(used.rss / 1024 / 1024).toFixed(2)}MB, Heap: ${(used.heapUsed / 1024 / 1024).toFixed(2)}MB`
+  );
+};
+
+const recordWriteTimings = (stats, writer) => {
+  const { writeMs, batches, maxBatchMs } = writer.timings;
+  Object.assign(stats.timings, {
+    writeMs,
+    writeBatches: batches,
+    avgBatchMs: batches ? Math.round(writeMs / batches) : null,
+    maxBatchMs: batches ? maxBatchMs : null
+  });
+};
+
+/** ====== MAIN FETCH/PROCESS ====== **/
+// Sites processed in parallel; the API client still caps in-flight requests
+const SITE_CONCURRENCY = Math.max(1, Number(process.env.SITE_CONCURRENCY) || 5);
+
+// `logError` is logErrorToDatabase, or a no-op in a dry run
+const processSite = async (site, today, writer, stats, logError) => {
+  try {
+    stats.processed++;
+    console.log(`?? Processing site: ${site.site_name} (${site.id})`);
+
+    // Overview and target history are independent, so fetch them together.
+    // A target failure only costs the target score, not the whole row.
+    const [scoreResponse, target] = await Promise.all([
+      siteimproveGet(`/sites/${site.id}/dci/overview`),
+      siteimproveGet(`/sites/${site.id}/a11y/overview/site_target/history`)
+        .then(response => ({ response }), error => ({ error }))
+    ]);
+
+    let siteTarget = null;
+    if (target.error) {
+      stats.targetErrors++;
+      await logError(site.id, site.site_name, `Target score fetch error: ${target.error.message}`, 'INFO');
+    } else {
+      const todayTarget = (target.response.data.items || []).find(
+        entry => typeof entry.timestamp === 'string' && entry.timestamp.startsWith(today)
+      );
+      if (todayTarget) {
+        siteTarget = parseFloat(todayTarget.site_target_percentage);
+      } else {
+        stats.targetInfoNotes++;
+        await logError(site.id, site.site_name, 'No site_target_percentage entry for today', 'INFO');
+      }
+    }
+
+    if (!scoreResponse.data || !scoreResponse.data.a11y) {
+      throw new Error('DCI overview returned no a11y scores');
+    }
+    const record = {
+      sid: site.id,
+      name: site.site_name,
+      url: site.url,
+      ...parseA11yLevels(scoreResponse.data),
+      site_target_score: siteTarget,
+      date: today,
+      group_id: site.group_id,
+      ...parseDciCategories(scoreResponse.data),
+    };
+
+    await writer.add(record);
+  } catch (err) {
+    stats.siteErrors++;
+    console.error(`? Error for ${site.site_name}: ${err.message}`);
+    const attempts = err.attempts > 1 ? ` after ${err.attempts} attempts` : '';
+    await logError(site.id, site.site_name, `Approved site failed during processing${attempts}: ${err.message}`, 'WARNING');
+  }
+};
+
+// `progress` (optional) is updated in place as sites complete. `mode` is
+// 'insert' (new rows only) or 'refresh' (also correct existing rows, see
+// lib/scores.js); `runId` tags refresh revisions. Rows are written to `table`
+// in batches of WRITE_BATCH_SIZE. `sids` narrows the run to those sites;
+// `dryRun` rolls every write back and logs nothing to error_logs.
+const runCollection = async (progress = {}, { mode = 'insert', runId = null, table = 'ada_scores', dryRun = false, sids = null } = {}) => {
+  assertScoreTable(table);
+  console.log(`?? Starting Siteimprove pull (${mode} mode${table === 'ada_scores' ? '' : `, into ${table}`}${dryRun ? ', dry run' : ''})...`);
+  const logError = dryRun ? async () => {} : logErrorToDatabase;
+  const startedAt = Date.now();
+  // One date for the whole run, even if it crosses midnight UTC
+  const today = new Date().toISOString().split('T')[0];
+  const stats = {
+    date: today,
+    table,
+    dryRun,
+    sids,
+    sitesListed: 0,
+    sitesExpected: null,
+    listingComplete: false,
+    groups: [],
+    sitesPulled: 0,
+    approvedRegistryActive: false,
+    skippedUnapproved: 0,
+    mode,
+    processed: 0,
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    skippedExisting: 0,
+    targetInfoNotes: 0,
+    targetErrors: 0,
+    insertErrors: 0,
+    siteErrors: 0,
+    apiRequests: 0,
+    apiRetries: 0,
+    apiRateLimited: 0,
+    concurrency: SITE_CONCURRENCY,
+    durationMs: null,
+    siteLatencyAvgMs: null,
+    siteLatencyP95Ms: null,
+    siteLatencyMaxMs: null,
+    timings: {
+      existingLookupMs: null,
+      existingKeys: 0,
+      writeMs: 0,
+      writeBatches: 0,
+      writeBatchSize: WRITE_BATCH_SIZE,
+      avgBatchMs: null,
+      maxBatchMs: null
+    }
+  };
+  const apiBefore = getRequestStats();
+  Object.assign(progress, { phase: 'listing', unit: 'sites', done: 0, total: 0, errors: 0 });
+
+  let writer = null;
+
+  try {
+    // Duplicate detection only needs today's keys; refresh mode reads the
+    // stored rows batch by batch instead
+    const lookupStartedAt = Date.now();
+    const stored = mode === 'refresh' ? new Set() : await loadStoredKeys([today], pool, { table });
+    stats.timings.existingLookupMs = Date.now() - lookupStartedAt;
+    stats.timings.existingKeys = stored.size;
+
+    writer = createScoreWriter({
+      mode,
+      runId,
+      table,
+      dryRun,
+      stored,
+      counters: stats,
+      onError: async (record, err) => {
+        console.error(`? ${mode === 'refresh' ? 'Refresh' : 'Insert'} failed for ${record.name}: ${err.message}`);
+        await logError(record.sid, record.name, err.message);
+      }
+    });
+
+    const listing = await fetchAccessibilitySites();
+    const scope = await filterApprovedSites(listing.sites);
+    const sites = sids ? scope.sites.filter(site => sids.includes(Number(site.id))) : scope.sites;
+    stats.sitesListed = listing.sitesListed;
+    stats.sitesExpected = listing.sitesExpected;
+    stats.listingComplete = listing.complete;
+    stats.groups = listing.groups.map(g => ({
+      groupId: g.groupId,
+      sitesListed: g.sitesListed,
+      sitesExpected: g.sitesExpected,
+      accessible: g.accessible,
+      complete: g.complete
+    }));
+    stats.sitesPulled = sites.length;
+    stats.approvedRegistryActive = scope.registryActive;
+    stats.skippedUnapproved = scope.unapproved.length;
+    if (scope.registryActive) {
+      console.log(`?? Approved registry: ${scope.approvedCount} entries, ${scope.unapproved.length} listed site(s) not approved`);
+    }
+    if (!listing.complete) {
+      await logError(null, 'Site Listing', `Incomplete site listing. ${listing.summary}`, 'WARNING');
+    }
+    if (sids) console.log(`?? Site filter: ${sites.length} of ${sids.length} requested site(s) in scope`);
+    console.log(`?? Total accessible sites pulled: ${sites.length} (concurrency ${SITE_CONCURRENCY})`);
+
+    progress.phase = 'collecting';
+    progress.total = sites.length;
+
+    const latencies = [];
+
+    await mapWithConcurrency(sites, SITE_CONCURRENCY, async (site) => {
+      const siteStartedAt = Date.now();
+      await processSite(site, today, writer, stats, logError);
+      latencies.push(Date.now() - siteStartedAt);
+      progress.done++;
+      progress.errors = stats.siteErrors + stats.targetErrors + stats.insertErrors;
+      if (latencies.length % 20 === 0) logMemoryUsage();
+    });
+
+    await writer.flush();
+    recordWriteTimings(stats, writer);
+
+    const apiAfter = getRequestStats();
+    stats.apiRequests = apiAfter.requests - apiBefore.requests;
+    stats.apiRetries = apiAfter.retries - apiBefore.retries;
+    stats.apiRateLimited = apiAfter.rateLimited - apiBefore.rateLimited;
+
+    stats.durationMs = Date.now() - startedAt;
+    if (latencies.length) {
+      stats.siteLatencyAvgMs = Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length);
+      stats.siteLatencyP95Ms = percentile(latencies, 95);
+      stats.siteLatencyMaxMs = Math.max(...latencies);
+    }
+
+    console.log(`? All done in ${(stats.durationMs / 1000).toFixed(1)}s.`);
+    return stats;
+  } catch (err) {
+    console.error('? Error during main fetch:', err.message);
+    await logError(null, 'General API Error', err.message);
+    if (writer) {
+      await writer.flush();
+      recordWriteTimings(stats, writer);
+    }
+    stats.durationMs = Date.now() - startedAt;
+    err.stats = stats;
+    throw err;
+  }
+};
+
+/** ====== COLLECTION RUN ====== **/
+const countScores = async (table = 'ada_scores') =>
+  Number((await pool.query(`SELECT COUNT(*) FROM ${assertScoreTable(table)}`)).rows[0].count);
+
+const collectionSummary = (label, stats) => [
+  `? ${label} complete${stats.dryRun ? ' (dry run, nothing written)' : ''}.`,
+  stats.table !== 'ada_scores' && `Table: ${stats.table}`,
+  stats.sids && `Site filter: ${stats.sids.length} site(s)`,
+  `Sites listed: ${stats.sitesListed}/${stats.sitesExpected ?? '?'}${stats.listingComplete ? '' : ' (INCOMPLETE)'}`,
+  `Sites pulled: ${stats.sitesPulled}`,
+  `Skipped unapproved: ${stats.approvedRegistryActive ? stats.skippedUnapproved : 'registry empty'}`,
+  `Processed: ${stats.processed}`,
+  `Inserted: ${stats.inserted}`,
+  stats.mode === 'refresh'
+    ? `Updated: ${stats.updated}, unchanged: ${stats.unchanged}`
+    : `Skipped existing: ${stats.skippedExisting}`,
+  `Target info notes: ${stats.targetInfoNotes}, target errors: ${stats.targetErrors}`,
+  `API requests: ${stats.apiRequests}, retries: ${stats.apiRetries}, rate limited: ${stats.apiRateLimited}`,
+  `Duration: ${(stats.durationMs / 1000).toFixed(1)}s, per-site p95: ${stats.siteLatencyP95Ms ?? '-'}ms (concurrency ${stats.concurrency})`,
+  `DB: key lookup ${stats.timings.existingLookupMs ?? '-'}ms (${stats.timings.existingKeys} keys), ` +
+    `writes ${stats.timings.writeMs}ms in ${stats.timings.writeBatches} batch(es)`,
+  !stats.alerts
+    ? 'Alerts: not checked'
+    : stats.alerts.error
+      ? `Alerts: check failed (${stats.alerts.error})`
+      : `Alerts: ${stats.alerts.raised} new (${stats.alerts.drops} drop, ${stats.alerts.belowTarget} below target)`,
+  `Rows before: ${stats.rowsBefore}, after: ${stats.rowsAfter}`,
+].filter(Boolean).join(' | ');
+
+// Compare the run's rows with recent history and send any new alerts (see
+// lib/alerts.js). A failure here is logged but does not fail the collection.
+const checkAlerts = async (date, runId) => {
+  try {
+    return await checkRegressions({ date, runId });
+  } catch (err) {
+    console.error('? Regression check failed:', err.message);
+    await logErrorToDatabase(null, 'Regression Alerts', err.message);
+    return { error: err.message };
+  }
+};
+
+// The daily pull as app.js and the CLI run it: row counts around the run and
+// the regression check afterwards. Alerts are only checked after real writes
+// to ada_scores, since a dry run or the backup table changes nothing to alert on.
+const collectAndCheck = async (progress, { runId = null, ...options } = {}) => {
+  const table = options.table || 'ada_scores';
+  const rowsBefore = await countScores(table);
+  const stats = await runCollection(progress, { ...options, runId });
+  let alerts = null;
+  if (table === 'ada_scores' && !options.dryRun) {
+    progress.phase = 'alerts';
+    alerts = await checkAlerts(stats.date, runId);
+  }
+  return { ...stats, alerts, rowsBefore, rowsAfter: await countScores(table) };
+};
+
+module.exports = {
+  SITE_CONCURRENCY,
+  runCollection,
+  collectAndCheck,
+  collectionSummary
+};
@@ -0,0 +1,33 @@
+/** ====== BOUNDED CONCURRENCY ====== **/
+// Run `worker(item, index)` over `items` with at most `limit` calls pending at
+// once. Results keep input order. A rejected worker rejects the whole map, so
+// workers that must not abort the run should catch their own errors.
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runLane = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: lanes }, runLane));
+  return results;
+};
+
+/** ====== TIMING ====== **/
+// Nearest-rank percentile of a list of numbers (p in 0..100)
+const percentile = (values, p) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+};
+
+module.exports = {
+  mapWithConcurrency,
+  percentile
+};
@@ -0,0 +1,20 @@
+/** ====== CSV ====== **/
+// RFC 4180 fields: quoted when they contain a comma, quote, CR or LF (or
+// leading/trailing spaces), with embedded quotes doubled. null/undefined are
+// empty, Dates are ISO 8601 and objects are written as JSON.
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV record, CRLF-terminated
+const csvRow = (values) => `${values.map(csvField).join(',')}\r\n`;
+
+module.exports = {
+  csvField,
+  csvRow
+};
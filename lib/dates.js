@@ -0,0 +1,74 @@
+const { httpError } = require('./errors');
+
+/** ====== DATE VALIDATION ====== **/
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest range /run-batch accepts; the CLI is not limited
+const MAX_BACKFILL_DAYS = Math.max(1, Number(process.env.MAX_BACKFILL_DAYS) || 366);
+
+// Dates are stored per UTC day, matching the collectors
+const todayUtc = () => new Date().toISOString().split('T')[0];
+
+// YYYY-MM-DD `days` before (negative: after) the given date
+const daysBefore = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().split('T')[0];
+};
+
+// Strict YYYY-MM-DD that is also a real calendar date (no 2025-02-30)
+const isIsoDate = (value) => {
+  if (typeof value !== 'string' || !ISO_DATE.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+};
+
+const daysBetween = (start, end) =>
+  Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000) + 1;
+
+// Check a { start, end } range and return it with its length in days, or
+// throw a 400 httpError whose details.errors lists every problem found:
+//   [{ field: 'end', value: '2025-13-01', message: 'must be ...' }]
+// `names` renames the fields in messages for APIs that call them from/to.
+const validateDateRange = (
+  { start, end },
+  { maxDays = null, allowFuture = false, names = { start: 'start', end: 'end' } } = {}
+) => {
+  const errors = [];
+  const today = todayUtc();
+
+  for (const [field, value] of [[names.start, start], [names.end, end]]) {
+    if (value === undefined || value === null || value === '') {
+      errors.push({ field, value: value ?? null, message: 'is required (YYYY-MM-DD)' });
+    } else if (!isIsoDate(value)) {
+      errors.push({ field, value, message: 'must be a real calendar date in YYYY-MM-DD format' });
+    } else if (!allowFuture && value > today) {
+      errors.push({ field, value, message: `must not be in the future (today is ${today} UTC)` });
+    }
+  }
+
+  if (!errors.length && start > end) {
+    errors.push({ field: names.end, value: end, message: `must be on or after ${names.start} (${start})` });
+  }
+
+  if (!errors.length && maxDays && daysBetween(start, end) > maxDays) {
+    errors.push({
+      field: names.end,
+      value: end,
+      message: `must be within ${maxDays} days of ${names.start} (the range covers ${daysBetween(start, end)} days)`
+    });
+  }
+
+  if (errors.length) {
+    throw httpError(400, `Invalid date range: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`, { errors });
+  }
+  return { start, end, days: daysBetween(start, end) };
+};
+
+module.exports = {
+  MAX_BACKFILL_DAYS,
+  todayUtc,
+  daysBefore,
+  isIsoDate,
+  validateDateRange
+};
@@ -0,0 +1,108 @@
+const { Pool } = require('pg');
+
+/** ====== DB POOL ====== **/
+// Cloud databases need SSL; set DB_SSL=false for a local or test database
+const pool = new Pool({
+  user: process.env.DB_USER,
+  host: process.env.DB_HOST,
+  database: process.env.DB_NAME,
+  password: process.env.DB_PASSWORD,
+  port: Number(process.env.DB_PORT) || 5432,
+  ssl: process.env.DB_SSL === 'false' ? false : { rejectUnauthorized: false },
+  connectionTimeoutMillis: 30000,
+  idleTimeoutMillis: 20000,
+  query_timeout: 120000,
+  max: 50,
+  min: 5
+});
+
+/** ====== TRANSACTIONS ====== **/
+// Run fn(client) inside BEGIN/COMMIT on one pooled client; any throw rolls back
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Like withTransaction but always rolls back, so a dry run gets the real row
+// counts and RETURNING rows of fn's writes without keeping any of them
+const withRollback = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    return await fn(client);
+  } finally {
+    await client.query('ROLLBACK').catch(() => {});
+    client.release();
+  }
+};
+
+// One client for a whole dry run: every statement runs inside a single
+// transaction that close() rolls back. Statements are queued in call order
+// since they share the client, and each gets a savepoint so one failing does
+// not abort the transaction for the rest.
+const openRollbackSession = async () => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+  } catch (err) {
+    client.release();
+    throw err;
+  }
+
+  let queue = Promise.resolve();
+  const run = async (sql, params) => {
+    await client.query('SAVEPOINT dry_run_statement');
+    try {
+      const result = await client.query(sql, params);
+      await client.query('RELEASE SAVEPOINT dry_run_statement');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK TO SAVEPOINT dry_run_statement');
+      throw err;
+    }
+  };
+
+  return {
+    query: (sql, params) => {
+      const result = queue.then(() => run(sql, params));
+      queue = result.catch(() => {});
+      return result;
+    },
+    close: async () => {
+      await queue;
+      await client.query('ROLLBACK').catch(() => {});
+      client.release();
+    }
+  };
+};
+
+/** ====== LOGGING HELPERS ====== **/
+const logErrorToDatabase = async (siteId, siteName, errorMessage, level = 'ERROR') => {
+  try {
+    await pool.query(
+      'INSERT INTO error_logs (site_id, site_name, message, level, timestamp) VALUES ($1, $2, $3, $4, NOW())',
+      [siteId || null, siteName || null, errorMessage, level]
+    );
+    console.log(`Logged ${level} for site ${siteName}`);
+  } catch (error) {
+    console.error('Failed to log error:', error);
+  }
+};
+
+module.exports = {
+  pool,
+  withTransaction,
+  withRollback,
+  openRollbackSession,
+  logErrorToDatabase
+};
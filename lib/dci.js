@@ -0,0 +1,85 @@
+/** ====== DCI PAYLOAD PARSING ====== **/
+// The DCI (Digital Certainty Index) payloads carry an overall score plus
+// accessibility, QA and SEO categories. Categories come back either as an
+// object with a `total` or as a bare number depending on the endpoint, so
+// normalise both shapes here instead of at every call site.
+
+// Scores are 0-100 with up to two decimals; anything unparseable is NULL
+const toScore = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : null;
+};
+
+const categoryTotal = (category) => {
+  if (category && typeof category === 'object') return toScore(category.total);
+  return toScore(category);
+};
+
+const firstScore = (...candidates) => {
+  for (const candidate of candidates) {
+    const score = categoryTotal(candidate);
+    if (score !== null) return score;
+  }
+  return null;
+};
+
+// Overall DCI plus the QA and SEO category scores, from either
+// `/dci/overview` or a `/dci/history` item
+const parseDciCategories = (payload) => {
+  const data = payload || {};
+  return {
+    dci_total: firstScore(data.total, data.dci_score, data.dci),
+    dci_qa: firstScore(data.qa, data.qa_score, data.quality_assurance),
+    dci_seo: firstScore(data.seo, data.seo_score)
+  };
+};
+
+// Accessibility conformance levels. Stored as integers, truncated the same way
+// the daily pull always has (parseInt). Missing levels are NULL, never 0, so a
+// gap in the data cannot be mistaken for a real drop to zero.
+const toLevel = (value) => {
+  const n = parseInt(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+// `/dci/overview` nests these under `a11y`; `/dci/history` items use either
+// `a11y` or `accessibility`, and may give only the category total as a bare
+// number with no per-level breakdown
+const parseA11yLevels = (payload) => {
+  const data = payload || {};
+  const raw = data.a11y !== undefined ? data.a11y : data.accessibility;
+  const a11y = raw && typeof raw === 'object' ? raw : { total: raw };
+  return {
+    ada_a: toLevel(a11y.a),
+    ada_aa: toLevel(a11y.aa),
+    ada_aaa: toLevel(a11y.aaa),
+    ada_aria: toLevel(a11y.aria),
+    ada_score_total: toLevel(a11y.total)
+  };
+};
+
+const LEVEL_COLUMNS = ['ada_a', 'ada_aa', 'ada_aaa', 'ada_aria'];
+
+// Levels for a backfilled row. `/a11y/overview/history` items carry the
+// breakdown at the top level (or under `a11y`); any level missing there falls
+// back to the `/dci/history` entry's breakdown, then to NULL.
+const parseHistoryLevels = (a11yEntry, dciEntry) => {
+  const nested = a11yEntry && (a11yEntry.a11y !== undefined || a11yEntry.accessibility !== undefined);
+  const primary = parseA11yLevels(nested ? a11yEntry : { a11y: a11yEntry });
+  const fallback = parseA11yLevels(dciEntry);
+  const levels = {};
+  for (const column of Object.keys(primary)) levels[column] = primary[column] ?? fallback[column];
+  return levels;
+};
+
+// True when neither history had any per-level value for the row
+const hasNoLevels = (record) => LEVEL_COLUMNS.every(column => record[column] === null || record[column] === undefined);
+
+module.exports = {
+  toScore,
+  parseDciCategories,
+  parseA11yLevels,
+  parseHistoryLevels,
+  hasNoLevels
+};
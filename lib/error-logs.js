@@ -0,0 +1,81 @@
+const { pool } = require('./db');
+const { likePattern } = require('./parse');
+
+/** ====== FILTERS ====== **/
+const LEVELS = ['ERROR', 'WARNING', 'INFO'];
+
+// WHERE clause shared by the list and the grouped view. `q` is a
+// case-insensitive substring of the message (% and _ match themselves);
+// from/to match the entry's day.
+const filterClause = ({ level = null, sid = null, from = null, to = null, q = null }) => ({
+  where: `WHERE ($1::text IS NULL OR level = $1)
+       AND ($2::int IS NULL OR site_id = $2)
+       AND ($3::date IS NULL OR timestamp >= $3)
+       AND ($4::date IS NULL OR timestamp < $4::date + 1)
+       AND ($5::text IS NULL OR message ILIKE $5 ESCAPE '\\')`,
+  filters: [level, sid, from, to, q === null ? null : likePattern(q)]
+});
+
+/** ====== ENTRIES ====== **/
+// Newest first
+const listErrors = async ({ limit = 100, offset = 0, ...criteria } = {}) => {
+  const { where, filters } = filterClause(criteria);
+  const [entries, count] = await Promise.all([
+    pool.query(
+      `SELECT id, timestamp, level, site_id, site_name, message
+       FROM error_logs
+       ${where}
+       ORDER BY timestamp DESC, id DESC
+       LIMIT $6 OFFSET $7`,
+      [...filters, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) AS total FROM error_logs ${where}`, filters)
+  ]);
+  return { total: Number(count.rows[0].total), entries: entries.rows };
+};
+
+/** ====== RECURRING ERRORS ====== **/
+// Entries grouped per site (per site_name for entries without a site id,
+// such as 'Site Listing') and message pattern, where the pattern is the
+// message with every run of digits replaced by '#', so "HTTP 502 on day 3"
+// and "HTTP 503 on day 4" count as the same problem. Sorted by the number of
+// distinct days seen, so chronically failing sites come first.
+const groupErrors = async ({ limit = 100, offset = 0, ...criteria } = {}) => {
+  const { where, filters } = filterClause(criteria);
+  const grouped = `
+    SELECT site_id, regexp_replace(COALESCE(message, ''), '[0-9]+', '#', 'g') AS pattern,
+           MAX(site_name) AS site_name,
+           array_agg(DISTINCT level) AS levels,
+           COUNT(*) AS occurrences,
+           COUNT(DISTINCT timestamp::date) AS days,
+           MIN(timestamp) AS first_seen,
+           MAX(timestamp) AS last_seen,
+           (array_agg(message ORDER BY timestamp DESC, id DESC))[1] AS latest_message
+    FROM error_logs
+    ${where}
+    GROUP BY site_id, CASE WHEN site_id IS NULL THEN site_name END, 2`;
+
+  const [groups, count] = await Promise.all([
+    pool.query(
+      `${grouped}
+       ORDER BY days DESC, occurrences DESC, last_seen DESC
+       LIMIT $6 OFFSET $7`,
+      [...filters, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) AS total FROM (${grouped}) g`, filters)
+  ]);
+  return {
+    total: Number(count.rows[0].total),
+    groups: groups.rows.map(row => ({
+      ...row,
+      occurrences: Number(row.occurrences),
+      days: Number(row.days)
+    }))
+  };
+};
+
+module.exports = {
+  LEVELS,
+  listErrors,
+  groupErrors
+};
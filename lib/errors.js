@@ -0,0 +1,25 @@
+/** ====== HTTP ERRORS ====== **/
+// Errors that carry the status a route should answer with. Routes send
+// `err.status` (and `err.details` when present) and fall back to 500.
+const httpError = (status, message, details) => {
+  const err = new Error(message);
+  err.status = status;
+  if (details !== undefined) err.details = details;
+  return err;
+};
+
+// Shared catch-all for JSON routes
+const sendError = (res, err, fallbackMessage) => {
+  if (err.status) {
+    const body = { error: err.message };
+    if (err.details !== undefined) body.details = err.details;
+    return res.status(err.status).json(body);
+  }
+  console.error(`? ${fallbackMessage}:`, err);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+module.exports = {
+  httpError,
+  sendError
+};
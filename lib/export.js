@@ -0,0 +1,86 @@
+const { withTransaction } = require('./db');
+
+/** ====== PARAMETERS ====== **/
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+// Rows per FETCH from the cursor; only this many are held in memory at once
+const EXPORT_FETCH_SIZE = Math.max(1, Number(process.env.EXPORT_FETCH_SIZE) || 1000);
+
+/** ====== DATASETS ====== **/
+// Each dataset: the columns it exports (in CSV order), which of them are
+// numeric (pg returns DECIMAL/BIGINT as strings; NDJSON gets numbers), and a
+// query builder for the filters { from, to, sids, groupId, ... }.
+const DATASETS = {
+  scores: {
+    columns: [
+      'date', 'sid', 'name', 'url', 'group_id', 'ada_a', 'ada_aa', 'ada_aaa', 'ada_aria',
+      'ada_score_total', 'site_target_score', 'dci_total', 'dci_qa', 'dci_seo'
+    ],
+    numeric: ['group_id', 'site_target_score', 'dci_total', 'dci_qa', 'dci_seo'],
+    query: ({ from = null, to = null, sids = null, groupId = null }) => ({
+      text: `SELECT to_char(date, 'YYYY-MM-DD') AS date, sid, name, url, group_id,
+                    ada_a, ada_aa, ada_aaa, ada_aria, ada_score_total, site_target_score,
+                    dci_total, dci_qa, dci_seo
+             FROM ada_scores
+             WHERE ($1::date IS NULL OR date >= $1)
+               AND ($2::date IS NULL OR date <= $2)
+               AND ($3::int[] IS NULL OR sid = ANY($3))
+               AND ($4::bigint IS NULL OR group_id = $4)
+             ORDER BY date, sid`,
+      values: [from, to, sids, groupId]
+    })
+  },
+
+  // error_logs has no group column: group_id matches sites that have scores
+  // in that group
+  errors: {
+    columns: ['id', 'timestamp', 'level', 'site_id', 'site_name', 'message'],
+    numeric: [],
+    query: ({ from = null, to = null, sids = null, groupId = null, level = null }) => ({
+      text: `SELECT id, to_char(timestamp, 'YYYY-MM-DD"T"HH24:MI:SS.MS') AS timestamp,
+                    level, site_id, site_name, message
+             FROM error_logs
+             WHERE ($1::date IS NULL OR timestamp >= $1)
+               AND ($2::date IS NULL OR timestamp < $2::date + 1)
+               AND ($3::int[] IS NULL OR site_id = ANY($3))
+               AND ($4::bigint IS NULL OR site_id IN (SELECT DISTINCT sid FROM ada_scores WHERE group_id = $4))
+               AND ($5::text IS NULL OR level = $5)
+             ORDER BY timestamp, id`,
+      values: [from, to, sids, groupId, level]
+    })
+  }
+};
+
+const toNdjsonRow = (dataset, row) => {
+  const out = { ...row };
+  for (const column of dataset.numeric) {
+    if (out[column] !== null && out[column] !== undefined) out[column] = Number(out[column]);
+  }
+  return out;
+};
+
+/** ====== CURSOR ====== **/
+// Run `query` through a server-side cursor and hand the rows to
+// onRows(rows) EXPORT_FETCH_SIZE at a time, awaiting each call so a slow
+// consumer slows the reads. Stops early once isAborted() is true.
+const streamRows = ({ text, values }, onRows, { isAborted = () => false, fetchSize = EXPORT_FETCH_SIZE } = {}) =>
+  withTransaction(async (client) => {
+    await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${text}`, values);
+    let total = 0;
+    while (!isAborted()) {
+      const { rows } = await client.query(`FETCH ${fetchSize} FROM export_cursor`);
+      if (!rows.length) break;
+      total += rows.length;
+      await onRows(rows);
+    }
+    await client.query('CLOSE export_cursor');
+    return total;
+  });
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_FETCH_SIZE,
+  DATASETS,
+  toNdjsonRow,
+  streamRows
+};
@@ -0,0 +1,323 @@
+const { pool } = require('./db');
+const { fetchAccessibilitySites, getRequestStats } = require('./siteimprove');
+const { filterApprovedSites } = require('./approved-sites');
+const { createHistoryCache } = require('./history');
+const { parseDciCategories, parseHistoryLevels, hasNoLevels } = require('./dci');
+const { insertScores, WRITE_BATCH_SIZE } = require('./scores');
+const { mapWithConcurrency } = require('./concurrency');
+const { validateDateRange, todayUtc, daysBefore } = require('./dates');
+const { httpError } = require('./errors');
+const { parseSidList } = require('./parse');
+
+/** ====== PARAMETERS ====== **/
+// missing:   no ada_scores row for the (sid, date)
+// no_target: the row exists but site_target_score is NULL
+const GAP_KINDS = ['missing', 'no_target'];
+
+const DEFAULT_GAP_DAYS = 90;
+const MAX_GAP_DAYS = 366;
+
+// Sites whose histories are fetched at once during a gap backfill
+const GAP_SITE_CONCURRENCY = 4;
+
+// { from, to } for a gap report: `to` defaults to yesterday (today's run may
+// not have happened yet), `from` to 90 days before `to`
+const parseGapRange = ({ from, to }) => {
+  const end = to || daysBefore(todayUtc(), 1);
+  const start = from || daysBefore(end, DEFAULT_GAP_DAYS - 1);
+  const range = validateDateRange({ start, end }, { maxDays: MAX_GAP_DAYS, names: { start: 'from', end: 'to' } });
+  return { from: range.start, to: range.end };
+};
+
+const MAX_GAP_SIDS = 1000;
+
+// { from, to, sids, kinds } from a query string or JSON body. sids is a
+// comma-separated string or an array; kinds defaults to both.
+const parseGapParams = (input = {}) => {
+  const { from, to } = parseGapRange(input);
+
+  const sids = parseSidList(input.sids, { max: MAX_GAP_SIDS });
+
+  let kinds = GAP_KINDS;
+  if (input.kinds !== undefined && input.kinds !== '' && input.kinds !== null) {
+    kinds = [...new Set([].concat(input.kinds).join(',').split(',').map(kind => kind.trim()).filter(Boolean))];
+    if (!kinds.length || kinds.some(kind => !GAP_KINDS.includes(kind))) {
+      throw httpError(400, `kinds must be a comma-separated list of: ${GAP_KINDS.join(', ')}`);
+    }
+  }
+  return { from, to, sids, kinds };
+};
+
+const daysInRange = (start, end) =>
+  start > end ? 0 : Math.round((Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000) + 1;
+
+// Consecutive dates collapsed into { from, to, days } runs
+const toRanges = (dates) => {
+  const ranges = [];
+  for (const date of dates) {
+    const last = ranges[ranges.length - 1];
+    if (last && daysBefore(date, 1) === last.to) {
+      last.to = date;
+      last.days++;
+    } else {
+      ranges.push({ from: date, to: date, days: 1 });
+    }
+  }
+  return ranges;
+};
+
+/** ====== EXPECTED COVERAGE ====== **/
+// Any viewer can open the gap report, so it reuses a listing fetched in the
+// last few minutes instead of paging through Siteimprove (and competing with
+// a running collection for the API) on every refresh. A listing still in
+// flight is shared too. The gap backfill always lists afresh.
+const LISTING_MAX_AGE_MS = 10 * 60 * 1000;
+let listingCache = null;
+
+const loadListing = ({ cached }) => {
+  if (cached && listingCache && Date.now() - listingCache.at < LISTING_MAX_AGE_MS) return listingCache;
+  const promise = fetchAccessibilitySites();
+  const entry = { at: Date.now(), promise };
+  listingCache = entry;
+  promise.catch(() => { if (listingCache === entry) listingCache = null; });
+  return entry;
+};
+
+// The sites the collectors would pull today: the current accessibility
+// listing narrowed to the approved registry (and `sids`), so sites that left
+// the configured groups or lost accessibility are no longer expected. Each is
+// expected from the first date it was stored, looked up per site through the
+// (sid, date) index; sites never stored on or before `to` are not expected.
+const loadScopedSites = async ({ to, sids = null, cachedListing = false }) => {
+  const { at, promise } = loadListing({ cached: cachedListing });
+  const listing = await promise;
+  if (!listing.complete) console.warn(`Gap report on an incomplete site listing: ${listing.summary}`);
+
+  const scope = await filterApprovedSites(listing.sites);
+  const listed = sids ? scope.sites.filter(site => sids.includes(Number(site.id))) : scope.sites;
+  const result = await pool.query(
+    `SELECT s.sid, to_char(f.first_seen, 'YYYY-MM-DD') AS first_seen
+     FROM unnest($1::int[]) AS s(sid)
+     CROSS JOIN LATERAL (SELECT MIN(a.date) AS first_seen FROM ada_scores a WHERE a.sid = s.sid AND a.date <= $2) f
+     WHERE f.first_seen IS NOT NULL`,
+    [listed.map(site => Number(site.id)), to]
+  );
+  const firstSeen = new Map(result.rows.map(row => [row.sid, row.first_seen]));
+
+  return {
+    sites: listed
+      .filter(site => firstSeen.has(Number(site.id)))
+      .map(site => ({
+        sid: Number(site.id),
+        name: site.site_name,
+        url: site.url,
+        group_id: site.group_id,
+        first_seen: firstSeen.get(Number(site.id))
+      })),
+    registryActive: scope.registryActive,
+    unapproved: scope.unapproved.length,
+    listingComplete: listing.complete,
+    listedAt: new Date(at).toISOString()
+  };
+};
+
+// Every (sid, date) from max(first seen, from) to `to` that has no row, or a
+// row without a target. Resolves to the scoped sites and the gap pairs.
+const listGapPairs = async ({ from, to, sids = null, kinds = GAP_KINDS, cachedListing = false }) => {
+  const scope = await loadScopedSites({ to, sids, cachedListing });
+  const { sites } = scope;
+  if (!sites.length) return { ...scope, pairs: [] };
+
+  const result = await pool.query(
+    `WITH expected AS (
+       SELECT s.sid, d::date AS date
+       FROM unnest($1::int[], $2::date[]) AS s(sid, first_seen),
+            generate_series(GREATEST(s.first_seen, $3::date), $4::date, interval '1 day') AS d
+     )
+     SELECT e.sid, to_char(e.date, 'YYYY-MM-DD') AS date,
+            CASE WHEN a.sid IS NULL THEN 'missing' ELSE 'no_target' END AS kind
+     FROM expected e
+     LEFT JOIN ada_scores a ON a.sid = e.sid AND a.date = e.date
+     WHERE a.sid IS NULL OR a.site_target_score IS NULL
+     ORDER BY e.sid, e.date`,
+    [sites.map(site => site.sid), sites.map(site => site.first_seen), from, to]
+  );
+  return {
+    ...scope,
+    pairs: result.rows.filter(pair => kinds.includes(pair.kind))
+  };
+};
+
+/** ====== REPORT ====== **/
+// Per-site gap counts and date ranges for [from, to], sites with the most
+// gaps first. Sites without gaps are counted but not listed. The site
+// listing may be up to LISTING_MAX_AGE_MS old (`listedAt`).
+const findGaps = async ({ from, to, sids = null }) => {
+  const { sites, registryActive, unapproved, listingComplete, listedAt, pairs } =
+    await listGapPairs({ from, to, sids, cachedListing: true });
+
+  const bySite = new Map();
+  for (const pair of pairs) {
+    if (!bySite.has(pair.sid)) bySite.set(pair.sid, { missing: [], no_target: [] });
+    bySite.get(pair.sid)[pair.kind].push(pair.date);
+  }
+
+  let expected = 0;
+  const siteGaps = [];
+  for (const site of sites) {
+    const siteExpected = daysInRange(site.first_seen > from ? site.first_seen : from, to);
+    expected += siteExpected;
+    const gaps = bySite.get(site.sid);
+    if (!gaps) continue;
+    siteGaps.push({
+      sid: site.sid,
+      name: site.name,
+      url: site.url,
+      groupId: site.group_id,
+      firstSeen: site.first_seen,
+      expected: siteExpected,
+      missing: gaps.missing.length,
+      noTarget: gaps.no_target.length,
+      missingRanges: toRanges(gaps.missing),
+      noTargetRanges: toRanges(gaps.no_target)
+    });
+  }
+  siteGaps.sort((a, b) => (b.missing + b.noTarget) - (a.missing + a.noTarget) || a.sid - b.sid);
+
+  return {
+    from,
+    to,
+    listingComplete,
+    listedAt,
+    registryActive,
+    skippedUnapproved: unapproved,
+    sitesChecked: sites.length,
+    sitesWithGaps: siteGaps.length,
+    expected,
+    missing: pairs.filter(pair => pair.kind === 'missing').length,
+    noTarget: pairs.filter(pair => pair.kind === 'no_target').length,
+    sites: siteGaps
+  };
+};
+
+/** ====== GAP BACKFILL ====== **/
+// Fill exactly the gap pairs found for [from, to] from the Siteimprove
+// history endpoints: missing rows are inserted (flagged backfilled) from the
+// DCI history entry for the date plus its per-level accessibility history and
+// target, NULL targets are filled from the target history. Pairs the API has
+// no history for stay gaps and are counted as unresolved; inserted rows with
+// no level at all are counted in `noLevels`. `progress` is updated in place
+// per pair.
+const runGapBackfill = async ({ from, to, sids = null, kinds = GAP_KINDS, progress = {} }) => {
+  const startedAt = Date.now();
+  const apiBefore = getRequestStats();
+  Object.assign(progress, { phase: 'listing', unit: 'site-days', done: 0, total: 0, errors: 0 });
+
+  const { sites, pairs } = await listGapPairs({ from, to, sids, kinds });
+  const stats = {
+    from,
+    to,
+    kinds,
+    pairs: pairs.length,
+    sites: new Set(pairs.map(pair => pair.sid)).size,
+    inserted: 0,
+    noLevels: 0,
+    targetsFilled: 0,
+    unresolved: 0,
+    fetchErrors: 0,
+    updateErrors: 0,
+    historyFetches: 0,
+    apiRequests: 0,
+    durationMs: null
+  };
+
+  progress.phase = 'backfilling';
+  progress.total = pairs.length;
+
+  const siteById = new Map(sites.map(site => [site.sid, site]));
+  const pairsBySite = new Map();
+  for (const pair of pairs) {
+    if (!pairsBySite.has(pair.sid)) pairsBySite.set(pair.sid, []);
+    pairsBySite.get(pair.sid).push(pair);
+  }
+
+  const history = createHistoryCache({ start: from, end: to });
+  const pending = [];
+  const flush = async () => {
+    const batch = pending.splice(0, pending.length);
+    if (!batch.length) return;
+    try {
+      stats.inserted += (await insertScores(batch, pool, { backfilled: true })).size;
+    } catch (err) {
+      stats.updateErrors++;
+      console.error('Gap insert error:', err.message);
+    }
+  };
+
+  await mapWithConcurrency([...pairsBySite.keys()], GAP_SITE_CONCURRENCY, async (sid) => {
+    const site = siteById.get(sid);
+    for (const pair of pairsBySite.get(sid)) {
+      try {
+        // A missing row is still worth inserting when only its target is unavailable
+        const targets = pair.kind === 'missing'
+          ? await history.targetHistory(sid).catch(() => new Map())
+          : await history.targetHistory(sid);
+        const targetEntry = targets.get(pair.date);
+        const target = targetEntry ? parseFloat(targetEntry.site_target_percentage) : NaN;
+        const siteTarget = Number.isNaN(target) ? null : target;
+
+        if (pair.kind === 'missing') {
+          const dciEntry = (await history.dciHistory(sid)).get(pair.date);
+          if (!dciEntry) {
+            stats.unresolved++;
+          } else {
+            const a11yEntry = (await history.a11yHistory(sid).catch(() => new Map())).get(pair.date);
+            const record = {
+              sid,
+              name: site.name,
+              url: site.url,
+              ...parseHistoryLevels(a11yEntry, dciEntry),
+              site_target_score: siteTarget,
+              date: pair.date,
+              group_id: site.group_id,
+              ...parseDciCategories(dciEntry)
+            };
+            if (hasNoLevels(record)) stats.noLevels++;
+            pending.push(record);
+            if (pending.length >= WRITE_BATCH_SIZE) await flush();
+          }
+        } else if (siteTarget === null) {
+          stats.unresolved++;
+        } else {
+          const updated = await pool.query(
+            `UPDATE ada_scores SET site_target_score = $1
+             WHERE sid = $2 AND date = $3 AND site_target_score IS NULL`,
+            [siteTarget, sid, pair.date]
+          );
+          stats.targetsFilled += updated.rowCount;
+        }
+      } catch (err) {
+        stats.fetchErrors++;
+        stats.unresolved++;
+        console.error(`Gap backfill failed for ${site.name} on ${pair.date}: ${err.message}`);
+      }
+      progress.done++;
+      progress.errors = stats.fetchErrors + stats.updateErrors;
+    }
+  });
+  await flush();
+
+  stats.historyFetches = history.stats.fetched;
+  stats.apiRequests = getRequestStats().requests - apiBefore.requests;
+  stats.durationMs = Date.now() - startedAt;
+  console.log(history.summary());
+  return stats;
+};
+
+module.exports = {
+  GAP_KINDS,
+  MAX_GAP_DAYS,
+  parseGapParams,
+  findGaps,
+  runGapBackfill
+};
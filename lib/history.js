@@ -0,0 +1,79 @@
+const { siteimproveGet } = require('./siteimprove');
+
+/** ====== DATE KEYS ====== **/
+// Siteimprove history timestamps look like "2025-06-15 00:00:00" or
+// "2025-06-15T00:00:00Z". Take the calendar date as written rather than
+// round-tripping through Date, which shifts it by the server's UTC offset.
+const toDateKey = (timestamp) => {
+  if (typeof timestamp !== 'string') return null;
+  const trimmed = timestamp.trim();
+  const match = /^(\d{4}-\d{2}-\d{2})/.exec(trimmed);
+  if (match) return match[1];
+  const parsed = new Date(trimmed);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().split('T')[0];
+};
+
+// First entry per date wins, matching the old `items.find(...)` lookups
+const indexByDate = (items) => {
+  const byDate = new Map();
+  for (const entry of items || []) {
+    const key = toDateKey(entry && entry.timestamp);
+    if (key && !byDate.has(key)) byDate.set(key, entry);
+  }
+  return byDate;
+};
+
+/** ====== PER-RUN CACHE ====== **/
+// History endpoints return a site's whole history in one response, so a
+// backfill only needs to fetch each one once per site and can then look up
+// every date in its range locally. Failures are cached too: the client has
+// already retried, and refetching for every remaining date would only repeat
+// the same error.
+const HISTORY_PATHS = {
+  target: (siteId) => `/sites/${siteId}/a11y/overview/site_target/history`,
+  dci: (siteId) => `/sites/${siteId}/dci/history`,
+  a11y: (siteId) => `/sites/${siteId}/a11y/overview/history`
+};
+
+// Given `{ start, end }`, the per-level accessibility history is asked for
+// just that period (`period=YYYY-MM-DD_YYYY-MM-DD`); the other two endpoints
+// always return the site's whole history.
+const createHistoryCache = ({ start, end } = {}) => {
+  const params = { a11y: start && end ? { period: `${start}_${end}` } : undefined };
+
+  const cache = new Map();
+  const stats = { fetched: 0, failed: 0, lookups: 0 };
+
+  const load = (kind, siteId) => {
+    stats.lookups++;
+    const key = `${kind}:${siteId}`;
+    if (!cache.has(key)) {
+      stats.fetched++;
+      const pending = siteimproveGet(HISTORY_PATHS[kind](siteId), { params: params[kind] })
+        .then(response => indexByDate(response.data && response.data.items))
+        .catch(err => {
+          stats.failed++;
+          throw err;
+        });
+      // Keep an unobserved cached rejection from tripping unhandledRejection
+      pending.catch(() => {});
+      cache.set(key, pending);
+    }
+    return cache.get(key);
+  };
+
+  return {
+    // Each resolves to a Map of 'YYYY-MM-DD' -> history entry
+    targetHistory: (siteId) => load('target', siteId),
+    dciHistory: (siteId) => load('dci', siteId),
+    a11yHistory: (siteId) => load('a11y', siteId),
+    stats,
+    summary: () => `History cache: ${stats.fetched} fetch(es), ${stats.failed} failed, ${stats.lookups} lookup(s)`
+  };
+};
+
+module.exports = {
+  toDateKey,
+  indexByDate,
+  createHistoryCache
+};
@@ -0,0 +1,87 @@
+const { pool } = require('./db');
+
+/** ====== JOB RUNS ====== **/
+// job_type: 'collect' (daily pull), 'backfill' (/run-batch, dci backfill-targets),
+//           'history-backfill' (dci backfill-scores) or
+//           'gap-backfill' (POST /api/gaps/backfill)
+// trigger:  'scheduled' (cron) or 'manual' (HTTP)
+// status:   'running' -> 'succeeded' | 'failed'
+const JOB_TYPES = ['collect', 'backfill', 'history-backfill', 'gap-backfill'];
+const TRIGGERS = ['scheduled', 'manual'];
+const STATUSES = ['running', 'succeeded', 'failed'];
+
+// triggered_by: who started it ('cron', a username or token:<name>)
+const startRun = async ({ jobType, trigger, params = null, triggeredBy = null }) => {
+  const result = await pool.query(
+    `INSERT INTO job_runs (job_type, trigger, params, triggered_by)
+     VALUES ($1, $2, $3, $4) RETURNING id`,
+    [jobType, trigger, params ? JSON.stringify(params) : null, triggeredBy]
+  );
+  return result.rows[0].id;
+};
+
+const finishRun = async (id, { status, stats = null, error = null, progress = null }) => {
+  await pool.query(
+    `UPDATE job_runs
+     SET status = $2, stats = $3, error = $4, progress = COALESCE($5, progress), finished_at = CURRENT_TIMESTAMP,
+         duration_ms = (EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) * 1000)::int
+     WHERE id = $1`,
+    [id, status, stats ? JSON.stringify(stats) : null, error, progress ? JSON.stringify(progress) : null]
+  );
+};
+
+const updateProgress = async (id, progress) => {
+  await pool.query(
+    "UPDATE job_runs SET progress = $2 WHERE id = $1 AND status = 'running'",
+    [id, JSON.stringify(progress)]
+  );
+};
+
+// Close a run whose process died without finishing it
+const failRun = async (id, error) => {
+  await pool.query(
+    `UPDATE job_runs
+     SET status = 'failed', error = $2, finished_at = CURRENT_TIMESTAMP,
+         duration_ms = (EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at)) * 1000)::int
+     WHERE id = $1 AND status = 'running'`,
+    [id, error]
+  );
+};
+
+/** ====== QUERIES ====== **/
+const listRuns = async ({ jobType = null, trigger = null, status = null, limit = 50, offset = 0 } = {}) => {
+  const where = `WHERE ($1::text IS NULL OR job_type = $1)
+       AND ($2::text IS NULL OR trigger = $2)
+       AND ($3::text IS NULL OR status = $3)`;
+  const filters = [jobType, trigger, status];
+
+  const [runs, count] = await Promise.all([
+    pool.query(
+      `SELECT id, job_type, trigger, triggered_by, status, params, stats, error, progress, started_at, finished_at, duration_ms
+       FROM job_runs
+       ${where}
+       ORDER BY started_at DESC, id DESC
+       LIMIT $4 OFFSET $5`,
+      [...filters, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) AS total FROM job_runs ${where}`, filters)
+  ]);
+  return { total: Number(count.rows[0].total), runs: runs.rows };
+};
+
+const getRun = async (id) => {
+  const result = await pool.query('SELECT * FROM job_runs WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  JOB_TYPES,
+  TRIGGERS,
+  STATUSES,
+  startRun,
+  finishRun,
+  updateProgress,
+  failRun,
+  listRuns,
+  getRun
+};
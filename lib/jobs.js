@@ -0,0 +1,82 @@
+const { startRun, finishRun, updateProgress, getRun } = require('./job-runs');
+const { acquireJobLock } = require('./lock');
+
+/** ====== IN-PROCESS JOBS ====== **/
+// Long jobs run in the background of this process; the job id is the
+// job_runs id. Progress lives in memory while the job runs and is copied to
+// job_runs.progress every PROGRESS_SAVE_MS, so /api/jobs/:id also answers for
+// jobs started by another process and keeps the last snapshot afterwards.
+const PROGRESS_SAVE_MS = 2000;
+
+const active = new Map(); // runId -> { jobType, progress }
+
+const percentDone = (progress) => {
+  if (!progress || !progress.total) return progress && progress.phase === 'done' ? 100 : 0;
+  return Math.min(100, Math.round((progress.done / progress.total) * 1000) / 10);
+};
+
+// Start `work(progress, runId)` as a recorded job and return its id as soon as the
+// job_runs row exists. Every job holds the collector lock (lib/lock.js) for
+// its whole run, so this rejects with a 409 httpError while any collector
+// runs anywhere. `work` resolves to the stats to store; a rejection marks the
+// run failed (keeping any `err.stats`). `done` settles when the job finishes
+// and never rejects, so callers may ignore it.
+const startJob = async ({ jobType, trigger, params = null, triggeredBy = null }, work) => {
+  const lock = await acquireJobLock({ purpose: `${jobType} (${trigger}${triggeredBy ? ` by ${triggeredBy}` : ''})` });
+  let runId;
+  try {
+    runId = await startRun({ jobType, trigger, params, triggeredBy });
+    await lock.setRunId(runId);
+  } catch (err) {
+    await lock.release().catch(() => {});
+    throw err;
+  }
+  const progress = { phase: 'starting', done: 0, total: 0, errors: 0 };
+  active.set(runId, { jobType, progress });
+
+  const saveProgress = () => updateProgress(runId, progress).catch(err => {
+    console.error(`? Could not save progress for job #${runId}: ${err.message}`);
+  });
+  const timer = setInterval(saveProgress, PROGRESS_SAVE_MS);
+
+  const done = (async () => {
+    let outcome;
+    try {
+      outcome = { status: 'succeeded', stats: await work(progress, runId) };
+      progress.phase = 'done';
+    } catch (err) {
+      console.error(`? ${jobType} job #${runId} failed: ${err.message}`);
+      outcome = { status: 'failed', stats: err.stats || null, error: err.message };
+      progress.phase = 'failed';
+    } finally {
+      clearInterval(timer);
+    }
+
+    try {
+      await finishRun(runId, { ...outcome, progress });
+    } catch (err) {
+      console.error(`? Could not record result of job #${runId}: ${err.message}`);
+    }
+    await lock.release().catch(err => {
+      console.error(`? Could not release job lock for job #${runId}: ${err.message}`);
+    });
+    active.delete(runId);
+    return { runId, ...outcome };
+  })();
+
+  return { runId, done };
+};
+
+// The job_runs row, with live progress when the job runs in this process
+const getJob = async (id) => {
+  const run = await getRun(id);
+  if (!run) return null;
+  const live = active.get(run.id);
+  const progress = live ? { ...live.progress } : run.progress;
+  return { ...run, progress, percent: run.status === 'succeeded' ? 100 : percentDone(progress) };
+};
+
+module.exports = {
+  startJob,
+  getJob
+};
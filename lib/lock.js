@@ -0,0 +1,147 @@
+const os = require('os');
+const crypto = require('crypto');
+const { pool } = require('./db');
+const { httpError } = require('./errors');
+const { failRun } = require('./job-runs');
+
+/** ====== CONFIG ====== **/
+// Every collector shares one lock: they all write ada_scores and snapshot
+// existing rows up front, so any two of them overlapping can race.
+const COLLECTOR_LOCK = 'collector';
+
+// How long a lease lasts without renewal. The holder renews it every quarter
+// of that, so only a process that stopped (crash, kill, lost DB) lets it lapse.
+const LEASE_MS = Math.max(10000, Number(process.env.JOB_LOCK_LEASE_MS) || 120000);
+const HEARTBEAT_MS = Math.floor(LEASE_MS / 4);
+
+const HOLDER = `${os.hostname()}:${process.pid}`;
+
+const describeHolder = (row) =>
+  `${row.purpose || 'a job'}${row.run_id ? ` #${row.run_id}` : ''} on ${row.holder} since ${new Date(row.acquired_at).toISOString()}`;
+
+const busyError = (row) => httpError(409, `Another collector job is already running: ${describeHolder(row)}`, {
+  runId: row.run_id,
+  holder: row.holder,
+  purpose: row.purpose,
+  acquiredAt: row.acquired_at,
+  expiresAt: row.expires_at
+});
+
+/** ====== LOCK ====== **/
+// Take the lease or throw a 409 httpError describing the current holder.
+// An expired lease is taken over, and the run it was guarding (if any) is
+// marked failed since its process is gone.
+const acquireJobLock = async ({ purpose, name = COLLECTOR_LOCK } = {}) => {
+  const token = crypto.randomUUID();
+  const client = await pool.connect();
+  let staleRow = null;
+  try {
+    await client.query('BEGIN');
+    const current = (await client.query(
+      `SELECT *, expires_at > CURRENT_TIMESTAMP AS live FROM job_locks WHERE name = $1 FOR UPDATE`,
+      [name]
+    )).rows[0];
+
+    if (current && current.live) {
+      await client.query('ROLLBACK');
+      throw busyError(current);
+    }
+
+    if (current) {
+      staleRow = current;
+      await client.query(
+        `UPDATE job_locks
+         SET token = $2, holder = $3, purpose = $4, run_id = NULL, acquired_at = CURRENT_TIMESTAMP,
+             heartbeat_at = CURRENT_TIMESTAMP, expires_at = CURRENT_TIMESTAMP + $5 * INTERVAL '1 millisecond'
+         WHERE name = $1`,
+        [name, token, HOLDER, purpose || null, LEASE_MS]
+      );
+    } else {
+      const inserted = await client.query(
+        `INSERT INTO job_locks (name, token, holder, purpose, expires_at)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + $5 * INTERVAL '1 millisecond')
+         ON CONFLICT (name) DO NOTHING`,
+        [name, token, HOLDER, purpose || null, LEASE_MS]
+      );
+      if (inserted.rowCount === 0) {
+        // Another process inserted first; report it
+        await client.query('ROLLBACK');
+        const winner = (await pool.query('SELECT * FROM job_locks WHERE name = $1', [name])).rows[0];
+        throw winner ? busyError(winner) : httpError(409, 'Another collector job is starting');
+      }
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    if (!err.status) await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (staleRow) {
+    console.warn(`?? Took over expired job lock from ${describeHolder(staleRow)}`);
+    if (staleRow.run_id) {
+      await failRun(staleRow.run_id, `Interrupted: ${staleRow.holder} stopped renewing the job lock`).catch(err => {
+        console.error(`? Could not mark stale run #${staleRow.run_id} failed: ${err.message}`);
+      });
+    }
+  }
+
+  let lost = false;
+  const heartbeat = setInterval(async () => {
+    try {
+      const renewed = await pool.query(
+        `UPDATE job_locks
+         SET heartbeat_at = CURRENT_TIMESTAMP, expires_at = CURRENT_TIMESTAMP + $3 * INTERVAL '1 millisecond'
+         WHERE name = $1 AND token = $2`,
+        [name, token, LEASE_MS]
+      );
+      if (renewed.rowCount === 0 && !lost) {
+        lost = true;
+        console.error(`? Job lock "${name}" was lost (lease expired and taken over); this run now overlaps another`);
+      }
+    } catch (err) {
+      console.error(`? Could not renew job lock "${name}": ${err.message}`);
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  return {
+    name,
+    token,
+    get lost() { return lost; },
+    // Lets a 409 point callers at the run holding the lock
+    setRunId: (runId) => pool.query('UPDATE job_locks SET run_id = $3 WHERE name = $1 AND token = $2', [name, token, runId]),
+    release: async () => {
+      clearInterval(heartbeat);
+      await pool.query('DELETE FROM job_locks WHERE name = $1 AND token = $2', [name, token]);
+    }
+  };
+};
+
+// Run `fn` while holding the collector lock
+const withJobLock = async (purpose, fn) => {
+  const lock = await acquireJobLock({ purpose });
+  try {
+    return await fn(lock);
+  } finally {
+    await lock.release().catch(err => console.error(`? Could not release job lock: ${err.message}`));
+  }
+};
+
+// Current holder, or null when no live lease exists
+const getJobLock = async (name = COLLECTOR_LOCK) => {
+  const result = await pool.query(
+    'SELECT name, holder, purpose, run_id, acquired_at, heartbeat_at, expires_at FROM job_locks WHERE name = $1 AND expires_at > CURRENT_TIMESTAMP',
+    [name]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  COLLECTOR_LOCK,
+  LEASE_MS,
+  acquireJobLock,
+  withJobLock,
+  getJobLock
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+/** ====== MIGRATION FILES ====== **/
+// migrations/NNN_description.sql, applied in version order. Each file runs in
+// its own transaction together with the row recording it in schema_migrations.
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Arbitrary constant shared by every process that runs migrations, so two
+// instances starting at once cannot apply the same file twice
+const MIGRATION_LOCK_KEY = 7316501;
+
+const listMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => /^\d+_[\w-]+\.sql$/.test(file))
+    .map(file => ({
+      version: parseInt(file, 10),
+      name: file,
+      file: path.join(dir, file)
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].name}, ${migrations[i].name}`);
+    }
+  }
+  return migrations;
+};
+
+/** ====== RUNNER ====== **/
+const ensureMigrationsTable = (client) => client.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+const appliedVersions = async (client) => {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+// Apply every pending migration. Resolves with the names of the files applied.
+const runMigrations = async (pool, { dir = MIGRATIONS_DIR, log = console.log } = {}) => {
+  const migrations = listMigrations(dir);
+  const client = await pool.connect();
+  const applied = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    const done = new Set((await appliedVersions(client)).map(row => row.version));
+
+    for (const migration of migrations) {
+      if (done.has(migration.version)) continue;
+
+      const sql = fs.readFileSync(migration.file, 'utf8');
+      log(`Applying migration ${migration.name}`);
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+          [migration.version, migration.name]
+        );
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        err.message = `Migration ${migration.name} failed: ${err.message}`;
+        throw err;
+      }
+      applied.push(migration.name);
+    }
+
+    log(applied.length ? `Applied ${applied.length} migration(s)` : 'Schema is up to date');
+    return applied;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+};
+
+// Every known migration with its applied timestamp (null while pending)
+const migrationStatus = async (pool, { dir = MIGRATIONS_DIR } = {}) => {
+  const migrations = listMigrations(dir);
+  const client = await pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = new Map((await appliedVersions(client)).map(row => [row.version, row]));
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      appliedAt: applied.has(m.version) ? applied.get(m.version).applied_at : null
+    }));
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  listMigrations,
+  runMigrations,
+  migrationStatus
+};
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+/** ====== CHANNELS ====== **/
+// ALERT_CHANNELS is a comma-separated list of:
+//   email   - SMTP (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS,
+//             ALERT_EMAIL_FROM, ALERT_EMAIL_TO as a comma-separated list)
+//   webhook - JSON POST to ALERT_WEBHOOK_URL
+//   outbox  - append each message as a JSON line to ALERT_OUTBOX_FILE
+//             (default logs/alert-outbox.ndjson) and send nothing; a local
+//             stand-in for the other two that needs no network
+const CHANNELS = ['email', 'webhook', 'outbox'];
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const OUTBOX_FILE = process.env.ALERT_OUTBOX_FILE || path.join(__dirname, '..', 'logs', 'alert-outbox.ndjson');
+
+const list = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Configured channels; unknown names are reported once and ignored
+const configuredChannels = (() => {
+  const names = list(process.env.ALERT_CHANNELS).map(name => name.toLowerCase());
+  const unknown = names.filter(name => !CHANNELS.includes(name));
+  if (unknown.length) {
+    console.warn(`?? Ignoring unknown ALERT_CHANNELS entries: ${unknown.join(', ')} (expected ${CHANNELS.join(', ')})`);
+  }
+  return [...new Set(names.filter(name => CHANNELS.includes(name)))];
+})();
+
+let transport = null;
+const smtpTransport = () => {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is not set');
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+};
+
+// Each sender takes { subject, text, payload } and resolves with a short
+// description of where the message went, or throws
+const senders = {
+  email: async ({ subject, text }) => {
+    const to = list(process.env.ALERT_EMAIL_TO);
+    if (!to.length) throw new Error('ALERT_EMAIL_TO is not set');
+    const info = await smtpTransport().sendMail({
+      from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text
+    });
+    return `sent to ${to.join(', ')} (${info.messageId})`;
+  },
+
+  webhook: async ({ payload }) => {
+    const url = process.env.ALERT_WEBHOOK_URL;
+    if (!url) throw new Error('ALERT_WEBHOOK_URL is not set');
+    const res = await axios.post(url, payload, { timeout: WEBHOOK_TIMEOUT_MS });
+    return `POST ${new URL(url).host} ${res.status}`;
+  },
+
+  outbox: async ({ subject, text, payload }) => {
+    await fs.promises.mkdir(path.dirname(OUTBOX_FILE), { recursive: true });
+    await fs.promises.appendFile(
+      OUTBOX_FILE,
+      `${JSON.stringify({ writtenAt: new Date().toISOString(), subject, text, payload })}\n`
+    );
+    return `written to ${OUTBOX_FILE}`;
+  }
+};
+
+/** ====== DELIVERY ====== **/
+// Send one message on every configured channel (or `channels`). Never throws:
+// resolves to { [channel]: { ok, info } | { ok: false, error } }.
+const deliver = async (message, channels = configuredChannels) => {
+  const results = {};
+  for (const channel of channels) {
+    try {
+      results[channel] = { ok: true, info: await senders[channel](message) };
+    } catch (err) {
+      console.error(`? Alert delivery via ${channel} failed: ${err.message}`);
+      results[channel] = { ok: false, error: err.message };
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  CHANNELS,
+  configuredChannels,
+  deliver
+};
@@ -0,0 +1,59 @@
+const { isIsoDate } = require('./dates');
+const { httpError } = require('./errors');
+
+/** ====== QUERY PARAMETERS ====== **/
+// Each reads req.query[name]; a missing or empty value gives the fallback
+// (or null) and anything malformed is a 400 httpError.
+const parseCount = (req, name, fallback, max) => {
+  const value = req.query[name];
+  if (value === undefined || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > max) throw httpError(400, `${name} must be an integer between 0 and ${max}`);
+  return n;
+};
+
+const parseOptionalId = (req, name) => {
+  const value = req.query[name];
+  if (value === undefined || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw httpError(400, `${name} must be a positive integer`);
+  return n;
+};
+
+const parseOptionalDate = (req, name) => {
+  const value = req.query[name];
+  if (value === undefined || value === '') return null;
+  if (!isIsoDate(value)) throw httpError(400, `${name} must be a real calendar date in YYYY-MM-DD format`);
+  return value;
+};
+
+/** ====== SITE LISTS ====== **/
+// "101,102" or ["101", "102"] (?sids=101&sids=102) as unique positive
+// integers; null when absent. `name` is the parameter named in the 400.
+const parseSidList = (raw, { name = 'sids', max = Infinity } = {}) => {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const parts = [].concat(raw).join(',').split(',').map(part => part.trim()).filter(Boolean);
+  const sids = [...new Set(parts.map(Number))];
+  if (!sids.length || sids.some(sid => !Number.isInteger(sid) || sid <= 0)) {
+    throw httpError(400, `${name} must be a comma-separated list of positive integers`);
+  }
+  if (sids.length > max) throw httpError(400, `${name} can list at most ${max} sites`);
+  return sids;
+};
+
+/** ====== DATABASE VALUES ====== **/
+// pg returns NUMERIC, DECIMAL and COUNT as strings
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Search text as an ILIKE substring pattern; use with ESCAPE '\\' so %, _
+// and \ in the text match themselves
+const likePattern = (term) => `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+
+module.exports = {
+  parseCount,
+  parseOptionalId,
+  parseOptionalDate,
+  parseSidList,
+  toNumber,
+  likePattern
+};
@@ -0,0 +1,244 @@
+const ExcelJS = require('exceljs');
+const { pool } = require('./db');
+const { validateDateRange, todayUtc } = require('./dates');
+const { assertScoreTable } = require('./scores');
+const { toNumber } = require('./parse');
+
+/** ====== PARAMETERS ====== **/
+const MAX_REPORT_DAYS = 366;
+
+// Columns of the daily sheet, in order; `metric` marks score columns that are
+// averaged on the summary sheet
+const DAILY_COLUMNS = [
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'sid', header: 'Site ID', width: 10 },
+  { key: 'name', header: 'Site', width: 36 },
+  { key: 'url', header: 'URL', width: 44 },
+  { key: 'ada_a', header: 'A', width: 8, metric: true },
+  { key: 'ada_aa', header: 'AA', width: 8, metric: true },
+  { key: 'ada_aaa', header: 'AAA', width: 8, metric: true },
+  { key: 'ada_aria', header: 'ARIA', width: 8, metric: true },
+  { key: 'ada_score_total', header: 'ADA Total', width: 11, metric: true },
+  { key: 'site_target_score', header: 'Target', width: 10, metric: true },
+  { key: 'dci_total', header: 'DCI', width: 8, metric: true },
+  { key: 'dci_qa', header: 'DCI QA', width: 9, metric: true },
+  { key: 'dci_seo', header: 'DCI SEO', width: 9, metric: true }
+];
+const METRICS = DAILY_COLUMNS.filter(column => column.metric);
+
+// The report's { from, to }. Neither given: the previous calendar month.
+// Only one given: `to` defaults to today, `from` to the first day of `to`'s month.
+const parseReportRange = ({ from, to }) => {
+  if (!from && !to) {
+    const firstOfMonth = new Date(`${todayUtc().slice(0, 7)}-01T00:00:00Z`);
+    firstOfMonth.setUTCDate(0);
+    to = firstOfMonth.toISOString().split('T')[0];
+    from = `${to.slice(0, 7)}-01`;
+  } else {
+    to = to || todayUtc();
+    from = from || `${String(to).slice(0, 7)}-01`;
+  }
+  const range = validateDateRange({ start: from, end: to }, { maxDays: MAX_REPORT_DAYS, names: { start: 'from', end: 'to' } });
+  return { from: range.start, to: range.end, days: range.days };
+};
+
+const round2 = (value) => (value === null ? null : Math.round(value * 100) / 100);
+const average = (values) => {
+  const present = values.filter(value => value !== null);
+  return present.length ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+};
+
+/** ====== DATA ====== **/
+const loadDailyScores = async (from, to, { table = 'ada_scores', sids = null } = {}) => {
+  const result = await pool.query(
+    `SELECT to_char(date, 'YYYY-MM-DD') AS date, sid, name, url,
+            ${METRICS.map(column => column.key).join(', ')}
+     FROM ${assertScoreTable(table)}
+     WHERE date BETWEEN $1 AND $2
+       AND ($3::int[] IS NULL OR sid = ANY($3))
+     ORDER BY name, sid, date`,
+    [from, to, sids]
+  );
+  return result.rows.map(row => ({
+    ...row,
+    ...Object.fromEntries(METRICS.map(column => [column.key, toNumber(row[column.key])]))
+  }));
+};
+
+// With `sids`, only those sites' entries (site-less entries are left out)
+const loadErrorLogs = async (from, to, sids = null) => {
+  const result = await pool.query(
+    `SELECT timestamp, level, site_id, site_name, message
+     FROM error_logs
+     WHERE timestamp >= $1::date AND timestamp < $2::date + 1
+       AND ($3::int[] IS NULL OR site_id = ANY($3))
+     ORDER BY timestamp, id`,
+    [from, to, sids]
+  );
+  return result.rows;
+};
+
+// Per-site averages and latest values; each site counts once in the
+// portfolio averages, however many days it has in the range
+const summarizeSites = (rows) => {
+  const bySite = new Map();
+  for (const row of rows) {
+    if (!bySite.has(row.sid)) bySite.set(row.sid, []);
+    bySite.get(row.sid).push(row);
+  }
+  return [...bySite.values()].map(siteRows => {
+    const latest = siteRows[siteRows.length - 1];
+    return {
+      sid: latest.sid,
+      name: latest.name,
+      url: latest.url,
+      days: siteRows.length,
+      daysBelowTarget: siteRows.filter(r => r.site_target_score !== null && r.ada_score_total !== null &&
+        r.ada_score_total < r.site_target_score).length,
+      latest,
+      averages: Object.fromEntries(METRICS.map(column => [column.key, average(siteRows.map(r => r[column.key]))]))
+    };
+  });
+};
+
+// Judged on each site's latest day in the period, largest gap first
+const sitesBelowTarget = (sites) => sites
+  .filter(site => site.latest.site_target_score !== null && site.latest.ada_score_total !== null &&
+    site.latest.ada_score_total < site.latest.site_target_score)
+  .map(site => ({ ...site, gap: round2(site.latest.site_target_score - site.latest.ada_score_total) }))
+  .sort((a, b) => b.gap - a.gap);
+
+/** ====== WORKBOOK ====== **/
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F3864' } };
+const BELOW_TARGET_FILL = { type: 'pattern', pattern: 'solid', bgColor: { argb: 'FFF8CBAD' } };
+
+const styleHeader = (row) => {
+  row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  row.eachCell(cell => { cell.fill = HEADER_FILL; });
+};
+
+const addSummarySheet = (workbook, { from, to, table, rows, sites, errorCount }) => {
+  const sheet = workbook.addWorksheet('Summary');
+  sheet.columns = [{ width: 32 }, { width: 36 }, { width: 44 }, { width: 12 }, { width: 12 }, { width: 12 }, { width: 12 }, { width: 16 }];
+
+  sheet.addRow(['ADA / DCI compliance report']).font = { bold: true, size: 14 };
+  sheet.addRow(['Period', `${from} to ${to}`]);
+  if (table !== 'ada_scores') sheet.addRow(['Table', table]);
+  sheet.addRow(['Generated', new Date().toISOString().replace('T', ' ').slice(0, 19) + ' UTC']);
+  sheet.addRow(['Sites', sites.length]);
+  sheet.addRow(['Score rows', rows.length]);
+  sheet.addRow(['Error log entries', errorCount]);
+  sheet.addRow([]);
+
+  sheet.addRow(['Portfolio averages (each site weighted equally)']).font = { bold: true };
+  styleHeader(sheet.addRow(['Metric', 'Average', 'Lowest site', 'Highest site', 'Sites']));
+  for (const column of METRICS) {
+    const siteAverages = sites.map(site => site.averages[column.key]).filter(value => value !== null);
+    sheet.addRow([
+      column.header,
+      round2(average(siteAverages)),
+      siteAverages.length ? round2(Math.min(...siteAverages)) : null,
+      siteAverages.length ? round2(Math.max(...siteAverages)) : null,
+      siteAverages.length
+    ]);
+  }
+  sheet.addRow([]);
+
+  const belowTarget = sitesBelowTarget(sites);
+
+  sheet.addRow([`Sites below target on their latest day (${belowTarget.length})`]).font = { bold: true };
+  styleHeader(sheet.addRow(['Site ID', 'Site', 'URL', 'Latest date', 'ADA Total', 'Target', 'Gap', 'Days below target']));
+  for (const site of belowTarget) {
+    sheet.addRow([
+      site.sid,
+      site.name,
+      site.url,
+      site.latest.date,
+      site.latest.ada_score_total,
+      site.latest.site_target_score,
+      site.gap,
+      `${site.daysBelowTarget} of ${site.days}`
+    ]);
+  }
+  if (!belowTarget.length) sheet.addRow(['None']);
+
+  sheet.getColumn(2).alignment = { horizontal: 'left' };
+  return sheet;
+};
+
+const addDailySheet = (workbook, rows) => {
+  const sheet = workbook.addWorksheet('Daily Scores', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = DAILY_COLUMNS.map(({ key, header, width }) => ({ key, header, width }));
+  styleHeader(sheet.getRow(1));
+  rows.forEach(row => sheet.addRow(row));
+  METRICS.forEach(column => { sheet.getColumn(column.key).numFmt = '0.##'; });
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: DAILY_COLUMNS.length } };
+
+  // Highlight ADA Total when it is under the same row's target
+  if (rows.length) {
+    const total = sheet.getColumn('ada_score_total').letter;
+    const target = sheet.getColumn('site_target_score').letter;
+    sheet.addConditionalFormatting({
+      ref: `${total}2:${total}${rows.length + 1}`,
+      rules: [{
+        type: 'expression',
+        formulae: [`AND(ISNUMBER($${target}2),ISNUMBER($${total}2),$${total}2<$${target}2)`],
+        style: { fill: BELOW_TARGET_FILL, font: { color: { argb: 'FF9C0006' } } }
+      }]
+    });
+  }
+  return sheet;
+};
+
+const addErrorSheet = (workbook, errors) => {
+  const sheet = workbook.addWorksheet('Error Logs', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = [
+    { key: 'timestamp', header: 'Timestamp', width: 20 },
+    { key: 'level', header: 'Level', width: 10 },
+    { key: 'site_id', header: 'Site ID', width: 10 },
+    { key: 'site_name', header: 'Site', width: 36 },
+    { key: 'message', header: 'Message', width: 100 }
+  ];
+  styleHeader(sheet.getRow(1));
+  errors.forEach(entry => sheet.addRow(entry));
+  sheet.getColumn('timestamp').numFmt = 'yyyy-mm-dd hh:mm:ss';
+  sheet.getColumn('message').alignment = { wrapText: true, vertical: 'top' };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: 5 } };
+  return sheet;
+};
+
+// Summary, Daily Scores and Error Logs sheets for [from, to], read from
+// `table` and narrowed to `sids` when given. Resolves to the workbook and the
+// headline counts.
+const buildScoresWorkbook = async ({ from, to, table = 'ada_scores', sids = null }) => {
+  const [rows, errors] = await Promise.all([
+    loadDailyScores(from, to, { table, sids }),
+    loadErrorLogs(from, to, sids)
+  ]);
+  const sites = summarizeSites(rows);
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'DCI tracker';
+  workbook.created = new Date();
+  addSummarySheet(workbook, { from, to, table, rows, sites, errorCount: errors.length });
+  addDailySheet(workbook, rows);
+  addErrorSheet(workbook, errors);
+  return {
+    workbook,
+    summary: {
+      from,
+      to,
+      table,
+      sites: sites.length,
+      rows: rows.length,
+      errors: errors.length,
+      sitesBelowTarget: sitesBelowTarget(sites).length
+    }
+  };
+};
+
+module.exports = {
+  MAX_REPORT_DAYS,
+  parseReportRange,
+  buildScoresWorkbook
+};
@@ -0,0 +1,277 @@
+const { pool, withTransaction, withRollback } = require('./db');
+const { httpError } = require('./errors');
+
+/** ====== SCORE ROWS ====== **/
+// Tables that hold score rows; never interpolate anything else into SQL.
+// ada_scores_backup has the same columns but no revision history.
+const SCORE_TABLES = ['ada_scores', 'ada_scores_backup'];
+
+const assertScoreTable = (table) => {
+  if (!SCORE_TABLES.includes(table)) {
+    throw httpError(400, `Unknown table "${table}". Use one of: ${SCORE_TABLES.join(', ')}`);
+  }
+  return table;
+};
+
+// Columns a collection writes for each (sid, date), in insert order
+const SCORE_COLUMNS = [
+  'sid', 'name', 'url', 'ada_a', 'ada_aa', 'ada_aaa', 'ada_aria', 'ada_score_total',
+  'site_target_score', 'date', 'group_id', 'dci_total', 'dci_qa', 'dci_seo'
+];
+
+// Columns refresh mode may correct; sid and date identify the row
+const REFRESH_COLUMNS = SCORE_COLUMNS.filter(column => column !== 'sid' && column !== 'date');
+const TEXT_COLUMNS = new Set(['name', 'url']);
+
+// insert:  new (sid, date) rows only; existing rows are left alone (default)
+// refresh: also correct changed values on existing rows, with a revision each
+const COLLECT_MODES = ['insert', 'refresh'];
+
+// Rows per multi-row INSERT (14 parameters each, far below the 65535 limit)
+const WRITE_BATCH_SIZE = Math.max(1, Number(process.env.WRITE_BATCH_SIZE) || 50);
+
+const scoreKey = (sid, date) => `${sid}|${date}`;
+
+const insertSql = (rowCount, columns, table) => `
+  INSERT INTO ${assertScoreTable(table)} (${columns.join(', ')})
+  VALUES ${Array.from({ length: rowCount }, (_, row) =>
+    `(${columns.map((_, col) => `$${row * columns.length + col + 1}`).join(', ')})`
+  ).join(', ')}
+  ON CONFLICT (sid, date) DO NOTHING
+  RETURNING sid, to_char(date, 'YYYY-MM-DD') AS date
+`;
+
+// Insert many rows in one statement. Resolves to the Set of scoreKey()s that
+// were inserted; the rest already existed. `backfilled` flags rows rebuilt
+// from the history endpoints rather than collected on the day.
+const insertScores = async (records, db = pool, { table = 'ada_scores', backfilled = false } = {}) => {
+  if (!records.length) return new Set();
+  const columns = backfilled ? [...SCORE_COLUMNS, 'backfilled'] : SCORE_COLUMNS;
+  const result = await db.query(
+    insertSql(records.length, columns, table),
+    records.flatMap(record => columns.map(column => (column === 'backfilled' ? true : record[column])))
+  );
+  return new Set(result.rows.map(row => scoreKey(row.sid, row.date)));
+};
+
+// scoreKey()s already stored for the given dates only, so the lookup grows
+// with the sites per day rather than with the whole history
+const loadStoredKeys = async (dates, db = pool, { table = 'ada_scores' } = {}) => {
+  const result = await db.query(
+    `SELECT sid, to_char(date, 'YYYY-MM-DD') AS date FROM ${assertScoreTable(table)} WHERE date = ANY($1::date[])`,
+    [dates]
+  );
+  return new Set(result.rows.map(row => scoreKey(row.sid, row.date)));
+};
+
+/** ====== REFRESH ====== **/
+const blank = (value) => value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value));
+
+// pg returns DECIMAL and BIGINT as strings; compare numbers at the
+// column's two-decimal precision so 71.456 vs a stored 71.46 is no change
+const sameValue = (column, stored, incoming) => {
+  if (blank(stored) || blank(incoming)) return blank(stored) && blank(incoming);
+  if (TEXT_COLUMNS.has(column)) return String(stored) === String(incoming);
+  return Math.abs(Number(stored) - Number(incoming)) < 0.005;
+};
+
+// { column: { from, to } } for every column the incoming record changes.
+// A value never goes back to NULL: a missing value in a later pull is more
+// likely a partial response than a correction.
+const diffScore = (stored, record) => {
+  const changes = {};
+  for (const column of REFRESH_COLUMNS) {
+    if (blank(record[column]) || sameValue(column, stored[column], record[column])) continue;
+    changes[column] = { from: blank(stored[column]) ? null : stored[column], to: record[column] };
+  }
+  return changes;
+};
+
+// Insert new rows and correct existing ones in one transaction, recording a
+// revision per corrected row. Resolves to
+// { inserted: count, updated: [{ record, changes }], unchanged: count }.
+// A dry run computes the same result and rolls it all back.
+const refreshScores = (records, { runId = null, dryRun = false } = {}) => (dryRun ? withRollback : withTransaction)(async (client) => {
+  const storedRows = (await client.query(
+    `SELECT sid, to_char(date, 'YYYY-MM-DD') AS day, ${REFRESH_COLUMNS.join(', ')}
+     FROM ada_scores
+     WHERE (sid, date) IN (SELECT * FROM unnest($1::int[], $2::date[]))
+     FOR UPDATE`,
+    [records.map(record => record.sid), records.map(record => record.date)]
+  )).rows;
+  const stored = new Map(storedRows.map(row => [scoreKey(row.sid, row.day), row]));
+
+  const fresh = records.filter(record => !stored.has(scoreKey(record.sid, record.date)));
+  // A concurrent insert of the same row is a no-op, not a correction
+  const inserted = (await insertScores(fresh, client)).size;
+
+  const updated = [];
+  for (const record of records) {
+    const row = stored.get(scoreKey(record.sid, record.date));
+    if (!row) continue;
+    const changes = diffScore(row, record);
+    const columns = Object.keys(changes);
+    if (!columns.length) continue;
+
+    await client.query(
+      `UPDATE ada_scores
+       SET ${columns.map((column, i) => `${column} = $${i + 3}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE sid = $1 AND date = $2`,
+      [record.sid, record.date, ...columns.map(column => changes[column].to)]
+    );
+    updated.push({ record, changes });
+  }
+
+  if (updated.length) {
+    await client.query(
+      `INSERT INTO ada_score_revisions (sid, date, changes, run_id)
+       SELECT * FROM unnest($1::int[], $2::date[], $3::jsonb[], $4::int[])`,
+      [
+        updated.map(u => u.record.sid),
+        updated.map(u => u.record.date),
+        updated.map(u => JSON.stringify(u.changes)),
+        updated.map(() => runId)
+      ]
+    );
+  }
+  return { inserted, updated, unchanged: records.length - inserted - updated.length };
+});
+
+/** ====== BATCHED WRITER ====== **/
+// Buffers records and writes them WRITE_BATCH_SIZE at a time, one batch after
+// another. In insert mode keys in `stored` (see loadStoredKeys) are skipped
+// without a query; refresh mode reads the stored rows per batch instead.
+// Counts go into `counters` (inserted, skippedExisting, updated, unchanged,
+// insertErrors). When a batch fails its rows are retried one at a time so a
+// single bad row costs only itself; `onError(record, err)` hears about it.
+// Inserts go to `table`; refresh mode only writes ada_scores. With `dryRun`
+// every write is rolled back, so the counts say what would have changed.
+// add() and flush() never reject.
+const createScoreWriter = ({
+  mode = 'insert',
+  runId = null,
+  table = 'ada_scores',
+  dryRun = false,
+  stored = new Set(),
+  counters,
+  onError = async () => {},
+  batchSize = WRITE_BATCH_SIZE
+}) => {
+  if (mode === 'refresh' && table !== 'ada_scores') {
+    throw httpError(400, 'Refresh mode only writes ada_scores, which keeps the revision history');
+  }
+  const insert = (records) => (dryRun
+    ? withRollback(client => insertScores(records, client, { table }))
+    : insertScores(records, pool, { table }));
+
+  let buffer = [];
+  let queue = Promise.resolve();
+  const timings = { writeMs: 0, batches: 0, maxBatchMs: 0 };
+
+  const applyRefresh = (result) => {
+    counters.inserted += result.inserted;
+    counters.updated += result.updated.length;
+    counters.unchanged += result.unchanged;
+    for (const { record, changes } of result.updated) {
+      console.log(`${dryRun ? 'Would correct' : 'Corrected'} ${record.name} (${record.date}): ${Object.keys(changes).join(', ')}`);
+    }
+  };
+
+  const writeOne = async (record) => {
+    try {
+      if (mode === 'refresh') return applyRefresh(await refreshScores([record], { runId, dryRun }));
+      if ((await insert([record])).size) counters.inserted++;
+      else counters.skippedExisting++;
+    } catch (err) {
+      counters.insertErrors++;
+      await onError(record, err);
+    }
+  };
+
+  const writeBatch = async (records) => {
+    if (mode !== 'refresh') {
+      records = records.filter(record => {
+        const key = scoreKey(record.sid, record.date);
+        if (stored.has(key)) {
+          counters.skippedExisting++;
+          return false;
+        }
+        stored.add(key);
+        return true;
+      });
+    }
+    if (!records.length) return;
+
+    const startedAt = Date.now();
+    try {
+      if (mode === 'refresh') {
+        applyRefresh(await refreshScores(records, { runId, dryRun }));
+      } else {
+        const inserted = (await insert(records)).size;
+        counters.inserted += inserted;
+        counters.skippedExisting += records.length - inserted;
+      }
+    } catch (err) {
+      console.error(`Batch of ${records.length} failed (${err.message}), retrying row by row`);
+      for (const record of records) await writeOne(record);
+    }
+    const ms = Date.now() - startedAt;
+    timings.writeMs += ms;
+    timings.batches++;
+    timings.maxBatchMs = Math.max(timings.maxBatchMs, ms);
+  };
+
+  const flush = () => {
+    if (buffer.length) {
+      const records = buffer;
+      buffer = [];
+      queue = queue.then(() => writeBatch(records));
+    }
+    return queue;
+  };
+
+  return {
+    add: (record) => {
+      buffer.push(record);
+      return buffer.length >= batchSize ? flush() : Promise.resolve();
+    },
+    flush,
+    timings
+  };
+};
+
+/** ====== REVISIONS ====== **/
+// Newest first; any of sid, date and runId narrow the list
+const listRevisions = async ({ sid = null, date = null, runId = null, limit = 100, offset = 0 } = {}) => {
+  const where = `WHERE ($1::int IS NULL OR sid = $1)
+       AND ($2::date IS NULL OR date = $2)
+       AND ($3::int IS NULL OR run_id = $3)`;
+  const filters = [sid, date, runId];
+
+  const [revisions, count] = await Promise.all([
+    pool.query(
+      `SELECT id, sid, date, changes, run_id, revised_at
+       FROM ada_score_revisions
+       ${where}
+       ORDER BY revised_at DESC, id DESC
+       LIMIT $4 OFFSET $5`,
+      [...filters, limit, offset]
+    ),
+    pool.query(`SELECT COUNT(*) AS total FROM ada_score_revisions ${where}`, filters)
+  ]);
+  return { total: Number(count.rows[0].total), revisions: revisions.rows };
+};
+
+module.exports = {
+  SCORE_TABLES,
+  SCORE_COLUMNS,
+  COLLECT_MODES,
+  WRITE_BATCH_SIZE,
+  assertScoreTable,
+  insertScores,
+  loadStoredKeys,
+  diffScore,
+  refreshScores,
+  createScoreWriter,
+  listRevisions
+};
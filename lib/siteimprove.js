@@ -0,0 +1,236 @@
+const axios = require('axios');
+
+/** ====== CONFIG ====== **/
+const envInt = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) ? value : fallback;
+};
+
+// Point SITEIMPROVE_BASE_URL at another region or a local mock server
+const BASE_URL = (process.env.SITEIMPROVE_BASE_URL || 'https://api.eu.siteimprove.com/v2').replace(/\/+$/, '');
+const GROUP_ID = 1183842;
+
+const MAX_RETRIES    = envInt('SITEIMPROVE_MAX_RETRIES', 5);
+const MAX_IN_FLIGHT  = Math.max(1, envInt('SITEIMPROVE_MAX_IN_FLIGHT', 4));
+const RETRY_BASE_MS  = envInt('SITEIMPROVE_RETRY_BASE_MS', 1000);
+const RETRY_MAX_MS   = envInt('SITEIMPROVE_RETRY_MAX_MS', 60000);
+const TIMEOUT_MS     = envInt('SITEIMPROVE_TIMEOUT_MS', 60000);
+
+/** ====== AUTH ====== **/
+const authHeader = () => {
+  const username = process.env.SITEIMPROVE_USERNAME;
+  const apiKey   = process.env.SITEIMPROVE_API_KEY;
+  return `Basic ${Buffer.from(`${username}:${apiKey}`).toString('base64')}`;
+};
+
+/** ====== IN-FLIGHT LIMIT ====== **/
+let inFlight = 0;
+const waiting = [];
+
+const acquireSlot = () => {
+  if (inFlight < MAX_IN_FLIGHT) {
+    inFlight++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiting.push(resolve));
+};
+
+// Hand the slot straight to the next waiter so the count never overshoots
+const releaseSlot = () => {
+  const next = waiting.shift();
+  if (next) next();
+  else inFlight--;
+};
+
+/** ====== RETRY / BACKOFF ====== **/
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A 429 pauses every caller, not just the one that received it
+let pausedUntil = 0;
+
+const requestStats = { requests: 0, retries: 0, rateLimited: 0, failures: 0 };
+
+const isRetryable = (err) => {
+  if (!err.response) return true; // network error or timeout
+  const status = err.response.status;
+  return status === 429 || (status >= 500 && status !== 501);
+};
+
+// Retry-After is either delta-seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+};
+
+// Exponential backoff with full jitter
+const backoffDelay = (attempt) =>
+  Math.floor(Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt));
+
+/** ====== CLIENT ====== **/
+// GET a Siteimprove API path (e.g. `/sites/123/dci/overview`) or an absolute
+// URL such as a `links.next.href`. Resolves with the axios response; rejects
+// with the last axios error once retries are exhausted.
+const siteimproveGet = async (pathOrUrl, { params } = {}) => {
+  const url = /^https?:\/\//i.test(pathOrUrl) ? pathOrUrl : `${BASE_URL}${pathOrUrl}`;
+
+  for (let attempt = 0; ; attempt++) {
+    const wait = pausedUntil - Date.now();
+    if (wait > 0) await sleep(wait);
+
+    let delay;
+    await acquireSlot();
+    try {
+      requestStats.requests++;
+      return await axios.get(url, {
+        headers: { Authorization: authHeader() },
+        params,
+        timeout: TIMEOUT_MS
+      });
+    } catch (err) {
+      if (!isRetryable(err) || attempt >= MAX_RETRIES) {
+        requestStats.failures++;
+        err.attempts = attempt + 1;
+        throw err;
+      }
+
+      delay = backoffDelay(attempt);
+      if (err.response && err.response.status === 429) {
+        requestStats.rateLimited++;
+        const retryAfter = parseRetryAfter(err.response.headers && err.response.headers['retry-after']);
+        if (retryAfter !== null) delay = Math.min(retryAfter, RETRY_MAX_MS * 5);
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      }
+
+      requestStats.retries++;
+      const reason = err.response ? `HTTP ${err.response.status}` : (err.code || err.message);
+      console.warn(`Siteimprove ${reason} on ${url}, retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+    } finally {
+      releaseSlot();
+    }
+    // Back off without holding a slot; the next attempt queues for one again
+    await sleep(delay);
+  }
+};
+
+const getRequestStats = () => ({ ...requestStats });
+
+/** ====== SITE ENUMERATION ====== **/
+// Siteimprove list endpoints are paged: each page carries `total_items` and,
+// while more pages remain, `links.next.href`. Follow the links until they run
+// out so a group growing past one page never silently loses sites.
+const MAX_PAGES = 100;
+
+const fetchAllSites = async ({ groupId = GROUP_ID, pageSize = 250 } = {}) => {
+  const sites = [];
+  let totalItems = null;
+  let pagesRead = 0;
+  let url = '/sites';
+  let params = { page_size: pageSize };
+  if (groupId) params.group_id = groupId;
+
+  while (url && pagesRead < MAX_PAGES) {
+    const response = await siteimproveGet(url, { params });
+    pagesRead++;
+
+    const data = response.data || {};
+    sites.push(...(data.items || []));
+    if (totalItems === null && Number.isFinite(Number(data.total_items))) {
+      totalItems = Number(data.total_items);
+    }
+
+    // `next.href` already carries the query string, so drop our params
+    url = data.links && data.links.next && data.links.next.href;
+    params = undefined;
+  }
+
+  const complete = totalItems === null ? !url : sites.length >= totalItems;
+  return { sites, totalItems, pagesRead, complete };
+};
+
+/** ====== GROUPS ====== **/
+// SITEIMPROVE_GROUP_IDS is a comma-separated list of Siteimprove group ids.
+// Without it we fall back to the original single department group.
+const getGroupIds = () => {
+  const raw = process.env.SITEIMPROVE_GROUP_IDS;
+  if (!raw || !raw.trim()) return [GROUP_ID];
+
+  const ids = raw
+    .split(',')
+    .map(x => x.trim())
+    .filter(Boolean)
+    .map(Number);
+  const invalid = ids.filter(id => !Number.isInteger(id) || id <= 0);
+  if (invalid.length) {
+    throw new Error(`SITEIMPROVE_GROUP_IDS contains invalid group id(s): ${raw}`);
+  }
+  return [...new Set(ids)];
+};
+
+// Fetch every site with the accessibility product enabled across the given
+// groups, tagging each with the `group_id` it was listed under, and report how
+// many sites were seen against what the API says exists for every group.
+// A site listed in more than one group is kept under the first group only,
+// since ada_scores holds a single row per (sid, date).
+const fetchAccessibilitySites = async ({ groupIds = getGroupIds(), pageSize } = {}) => {
+  const seen = new Set();
+  const sites = [];
+  const groups = [];
+
+  for (const groupId of groupIds) {
+    const listing = await fetchAllSites({ groupId, pageSize });
+    let accessible = 0;
+    let duplicates = 0;
+
+    for (const site of listing.sites) {
+      if (!Array.isArray(site.product) || !site.product.includes('accessibility')) continue;
+      accessible++;
+      if (seen.has(site.id)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(site.id);
+      sites.push({ ...site, group_id: groupId });
+    }
+
+    const summary = `Group ${groupId}: sites listed ${listing.sites.length}/${listing.totalItems === null ? '?' : listing.totalItems} across ${listing.pagesRead} page(s), ${accessible} with accessibility`;
+    if (duplicates) console.log(`${summary} (${duplicates} already collected under another group)`);
+    else console.log(summary);
+    if (!listing.complete) console.warn(`Incomplete site listing. ${summary}`);
+
+    groups.push({
+      groupId,
+      sitesListed: listing.sites.length,
+      sitesExpected: listing.totalItems,
+      accessible,
+      duplicates,
+      complete: listing.complete,
+      summary
+    });
+  }
+
+  const incomplete = groups.filter(g => !g.complete);
+  return {
+    sites,
+    groups,
+    sitesListed: groups.reduce((n, g) => n + g.sitesListed, 0),
+    sitesExpected: groups.some(g => g.sitesExpected === null)
+      ? null
+      : groups.reduce((n, g) => n + g.sitesExpected, 0),
+    complete: incomplete.length === 0,
+    summary: (incomplete.length ? incomplete : groups).map(g => g.summary).join('; ')
+  };
+};
+
+module.exports = {
+  BASE_URL,
+  GROUP_ID,
+  authHeader,
+  siteimproveGet,
+  getRequestStats,
+  getGroupIds,
+  fetchAllSites,
+  fetchAccessibilitySites
+};
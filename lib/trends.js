@@ -0,0 +1,229 @@
+const { pool } = require('./db');
+const { httpError } = require('./errors');
+const { toNumber, likePattern } = require('./parse');
+const { validateDateRange, todayUtc, daysBefore } = require('./dates');
+
+/** ====== PARAMETERS ====== **/
+// Score columns the time-series APIs expose
+const SCORE_METRICS = [
+  'ada_a', 'ada_aa', 'ada_aaa', 'ada_aria', 'ada_score_total',
+  'site_target_score', 'dci_total', 'dci_qa', 'dci_seo'
+];
+
+// day: one point per date; week (ISO, starting Monday) / month: the average of
+// the days in each period, labelled with the period's first day
+const INTERVALS = ['day', 'week', 'month'];
+
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_RANGE_DAYS = 1830;
+
+// { from, to } from the query string: both default (to today, from 90 days
+// before `to`), then the usual strict checks with from/to in the messages
+const parseRange = ({ from, to }) => {
+  const end = to || todayUtc();
+  const start = from || daysBefore(end, DEFAULT_RANGE_DAYS - 1);
+  const range = validateDateRange({ start, end }, { maxDays: MAX_RANGE_DAYS, names: { start: 'from', end: 'to' } });
+  return { from: range.start, to: range.end, days: range.days };
+};
+
+const parseInterval = (value) => {
+  if (value === undefined || value === '') return 'day';
+  if (!INTERVALS.includes(value)) throw httpError(400, `interval must be one of: ${INTERVALS.join(', ')}`);
+  return value;
+};
+
+const parseMetric = (value, fallback = 'ada_score_total') => {
+  if (value === undefined || value === '') return fallback;
+  if (!SCORE_METRICS.includes(value)) throw httpError(400, `metric must be one of: ${SCORE_METRICS.join(', ')}`);
+  return value;
+};
+
+/** ====== PER-SITE SERIES ====== **/
+// One point per period with every score column (averaged for week/month).
+// Resolves to null when the site has no rows at all.
+const siteSeries = async (sid, { from, to, interval = 'day' }) => {
+  // Name and URL as of the latest row
+  const site = (await pool.query(
+    'SELECT sid, name, url, group_id FROM ada_scores WHERE sid = $1 ORDER BY date DESC LIMIT 1',
+    [sid]
+  )).rows[0];
+  if (!site) return null;
+
+  const result = await pool.query(
+    `SELECT to_char(date_trunc($4, date), 'YYYY-MM-DD') AS period,
+            COUNT(*) AS days,
+            ${SCORE_METRICS.map(metric => `ROUND(AVG(${metric}), 2) AS ${metric}`).join(',\n            ')}
+     FROM ada_scores
+     WHERE sid = $1 AND date BETWEEN $2 AND $3
+     GROUP BY 1
+     ORDER BY 1`,
+    [sid, from, to, interval]
+  );
+
+  return {
+    sid: site.sid,
+    name: site.name,
+    url: site.url,
+    groupId: toNumber(site.group_id),
+    from,
+    to,
+    interval,
+    points: result.rows.map(row => ({
+      period: row.period,
+      days: Number(row.days),
+      ...Object.fromEntries(SCORE_METRICS.map(metric => [metric, toNumber(row[metric])]))
+    }))
+  };
+};
+
+/** ====== AGGREGATES ====== **/
+const PERCENTILES = [0.1, 0.25, 0.5, 0.75, 0.9];
+
+// Distribution of one metric across sites for each period: every site counts
+// once per period (its average over the days it has in that period), so a
+// site collected every day does not outweigh one with gaps.
+// Optional groupId narrows to one Siteimprove group.
+const aggregateSeries = async ({ metric = 'ada_score_total', from, to, interval = 'day', groupId = null }) => {
+  if (!SCORE_METRICS.includes(metric)) throw httpError(400, `metric must be one of: ${SCORE_METRICS.join(', ')}`);
+
+  const result = await pool.query(
+    `WITH per_site AS (
+       SELECT date_trunc($3, date) AS period, sid, AVG(${metric}) AS value
+       FROM ada_scores
+       WHERE date BETWEEN $1 AND $2
+         AND ${metric} IS NOT NULL
+         AND ($4::bigint IS NULL OR group_id = $4)
+       GROUP BY 1, 2
+     )
+     SELECT to_char(period, 'YYYY-MM-DD') AS period,
+            COUNT(*) AS sites,
+            ROUND(AVG(value), 2) AS avg,
+            ROUND(MIN(value), 2) AS min,
+            ROUND(MAX(value), 2) AS max,
+            percentile_cont(ARRAY[${PERCENTILES.join(', ')}]) WITHIN GROUP (ORDER BY value) AS percentiles
+     FROM per_site
+     GROUP BY period
+     ORDER BY period`,
+    [from, to, interval, groupId]
+  );
+
+  const round = (value) => (value === null ? null : Math.round(Number(value) * 100) / 100);
+  return {
+    metric,
+    from,
+    to,
+    interval,
+    groupId,
+    periods: result.rows.map(row => {
+      const [p10, p25, median, p75, p90] = row.percentiles.map(round);
+      return {
+        period: row.period,
+        sites: Number(row.sites),
+        avg: toNumber(row.avg),
+        median,
+        p10,
+        p25,
+        p75,
+        p90,
+        min: toNumber(row.min),
+        max: toNumber(row.max)
+      };
+    })
+  };
+};
+
+/** ====== SITES ====== **/
+// Sites with stored scores whose name, URL or sid matches `q`, sorted by
+// name, with their latest name/URL and the dates they have rows for
+const searchSites = async ({ q = '', limit = 25 } = {}) => {
+  const term = String(q).trim();
+  const result = await pool.query(
+    `WITH matched AS (
+       SELECT sid,
+              to_char(MIN(date), 'YYYY-MM-DD') AS first_date,
+              to_char(MAX(date), 'YYYY-MM-DD') AS last_date
+       FROM ada_scores
+       WHERE $1 = '' OR name ILIKE $2 ESCAPE '\\' OR url ILIKE $2 ESCAPE '\\' OR sid::text = $1
+       GROUP BY sid
+     )
+     SELECT m.sid, latest.name, latest.url, latest.group_id, m.first_date, m.last_date
+     FROM matched m
+     CROSS JOIN LATERAL (
+       SELECT name, url, group_id FROM ada_scores a WHERE a.sid = m.sid ORDER BY a.date DESC LIMIT 1
+     ) latest
+     ORDER BY latest.name, m.sid
+     LIMIT $3`,
+    [term, likePattern(term), limit]
+  );
+  return result.rows.map(row => ({
+    sid: row.sid,
+    name: row.name,
+    url: row.url,
+    groupId: toNumber(row.group_id),
+    firstDate: row.first_date,
+    lastDate: row.last_date
+  }));
+};
+
+/** ====== MOVERS ====== **/
+// Change in `metric` per site between its first and last stored value in
+// [from, to]; the `limit` largest gains and drops. Sites with a single value
+// in the range have nothing to compare and are left out.
+const biggestMovers = async ({ metric = 'ada_score_total', from, to, groupId = null, limit = 10 }) => {
+  if (!SCORE_METRICS.includes(metric)) throw httpError(400, `metric must be one of: ${SCORE_METRICS.join(', ')}`);
+
+  const result = await pool.query(
+    `WITH ranged AS (
+       SELECT sid, name, url, date, ${metric} AS value,
+              ROW_NUMBER() OVER (PARTITION BY sid ORDER BY date) AS from_rank,
+              ROW_NUMBER() OVER (PARTITION BY sid ORDER BY date DESC) AS to_rank
+       FROM ada_scores
+       WHERE date BETWEEN $1 AND $2
+         AND ${metric} IS NOT NULL
+         AND ($3::bigint IS NULL OR group_id = $3)
+     )
+     SELECT l.sid, l.name, l.url,
+            to_char(f.date, 'YYYY-MM-DD') AS from_date, f.value AS from_value,
+            to_char(l.date, 'YYYY-MM-DD') AS to_date, l.value AS to_value,
+            l.value - f.value AS change
+     FROM ranged f
+     JOIN ranged l ON l.sid = f.sid AND l.to_rank = 1
+     WHERE f.from_rank = 1 AND f.date < l.date`,
+    [from, to, groupId]
+  );
+
+  const movers = result.rows.map(row => ({
+    sid: row.sid,
+    name: row.name,
+    url: row.url,
+    fromDate: row.from_date,
+    fromValue: toNumber(row.from_value),
+    toDate: row.to_date,
+    toValue: toNumber(row.to_value),
+    change: Math.round(Number(row.change) * 100) / 100
+  }));
+
+  return {
+    metric,
+    from,
+    to,
+    groupId,
+    sitesCompared: movers.length,
+    gains: movers.filter(m => m.change > 0).sort((a, b) => b.change - a.change).slice(0, limit),
+    drops: movers.filter(m => m.change < 0).sort((a, b) => a.change - b.change).slice(0, limit)
+  };
+};
+
+module.exports = {
+  SCORE_METRICS,
+  INTERVALS,
+  DEFAULT_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+  parseRange,
+  parseInterval,
+  parseMetric,
+  siteSeries,
+  aggregateSeries,
+  searchSites,
+  biggestMovers
+};
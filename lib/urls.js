@@ -0,0 +1,29 @@
+/** ====== URL NORMALIZATION ====== **/
+// Scheme-agnostic comparison key: drop www, normalize the path, ignore default
+// ports. "https://www.Example.gov/Dept/" and "example.gov/dept" share a key.
+const normalizeUrlKey = (raw) => {
+  if (!raw) return '';
+  try {
+    const parsed = new URL(raw.startsWith('http') ? raw : `http://${raw}`);
+    let host = (parsed.hostname || '').toLowerCase().replace(/^www\./, '');
+    const port = parsed.port && !['80','443'].includes(parsed.port) ? `:${parsed.port}` : '';
+    let p = (parsed.pathname || '/')
+      .replace(/\/{2,}/g, '/')
+      .replace(/\/+$/g, '/')
+      .toLowerCase();
+    if (p !== '/' && p.endsWith('/')) p = p.slice(0, -1);
+    return `${host}${port}${p}`;
+  } catch {
+    // Fallback best-effort
+    return raw
+      .toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/^www\./, '')
+      .replace(/\/{2,}/g, '/')
+      .replace(/\/+$/g, '/');
+  }
+};
+
+module.exports = {
+  normalizeUrlKey
+};
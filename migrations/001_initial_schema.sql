@@ -0,0 +1,50 @@
+-- Baseline schema, as it existed before migrations were tracked.
+-- Every statement is idempotent so an existing database can adopt the
+-- migration history in place without touching its data.
+
+CREATE TABLE IF NOT EXISTS ada_scores (
+    id SERIAL PRIMARY KEY,
+    sid INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    url TEXT NOT NULL,
+    ada_a INTEGER,
+    ada_aa INTEGER,
+    ada_aaa INTEGER,
+    ada_aria INTEGER,
+    ada_score_total INTEGER,
+    site_target_score DECIMAL(5,2),
+    date DATE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_site_date UNIQUE (sid, date)
+);
+
+-- Same shape as ada_scores; written by the legacy backfill scripts
+CREATE TABLE IF NOT EXISTS ada_scores_backup (
+    id SERIAL PRIMARY KEY,
+    sid INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    url TEXT NOT NULL,
+    ada_a INTEGER,
+    ada_aa INTEGER,
+    ada_aaa INTEGER,
+    ada_aria INTEGER,
+    ada_score_total INTEGER,
+    site_target_score DECIMAL(5,2),
+    date DATE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_backup_site_date UNIQUE (sid, date)
+);
+
+CREATE TABLE IF NOT EXISTS error_logs (
+    id SERIAL PRIMARY KEY,
+    site_id INTEGER,
+    site_name VARCHAR(255),
+    message TEXT,
+    level VARCHAR(50) DEFAULT 'ERROR',
+    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ada_scores_date ON ada_scores(date);
+CREATE INDEX IF NOT EXISTS idx_ada_scores_sid ON ada_scores(sid);
+CREATE INDEX IF NOT EXISTS idx_error_logs_timestamp ON error_logs(timestamp);
+CREATE INDEX IF NOT EXISTS idx_error_logs_level ON error_logs(level);
@@ -0,0 +1,6 @@
+-- Siteimprove group each row was collected from (SITEIMPROVE_GROUP_IDS)
+
+ALTER TABLE ada_scores ADD COLUMN IF NOT EXISTS group_id BIGINT;
+ALTER TABLE ada_scores_backup ADD COLUMN IF NOT EXISTS group_id BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_ada_scores_group_date ON ada_scores(group_id, date);
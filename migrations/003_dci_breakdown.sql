@@ -0,0 +1,9 @@
+-- Overall DCI score and the QA / SEO category scores
+
+ALTER TABLE ada_scores ADD COLUMN IF NOT EXISTS dci_total DECIMAL(5,2);
+ALTER TABLE ada_scores ADD COLUMN IF NOT EXISTS dci_qa DECIMAL(5,2);
+ALTER TABLE ada_scores ADD COLUMN IF NOT EXISTS dci_seo DECIMAL(5,2);
+
+ALTER TABLE ada_scores_backup ADD COLUMN IF NOT EXISTS dci_total DECIMAL(5,2);
+ALTER TABLE ada_scores_backup ADD COLUMN IF NOT EXISTS dci_qa DECIMAL(5,2);
+ALTER TABLE ada_scores_backup ADD COLUMN IF NOT EXISTS dci_seo DECIMAL(5,2);
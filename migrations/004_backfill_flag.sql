@@ -0,0 +1,21 @@
+-- Flag rows reconstructed from /dci/history rather than collected on the day
+
+ALTER TABLE ada_scores ADD COLUMN IF NOT EXISTS backfilled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE ada_scores_backup ADD COLUMN IF NOT EXISTS backfilled BOOLEAN NOT NULL DEFAULT false;
+
+-- Earlier DCI history backfills (from 2025-05-01 on) wrote placeholder zeros for
+-- every level and the overall DCI score into ada_score_total. Keep that score in
+-- dci_total, where it belongs, before clearing the fake values; re-running the
+-- backfill fills in whatever the API provides. A row whose same-day collector
+-- record in ada_scores also reads all zeros is a genuine reading and is left alone.
+UPDATE ada_scores_backup b
+SET dci_total = COALESCE(b.dci_total, b.ada_score_total),
+    ada_a = NULL, ada_aa = NULL, ada_aaa = NULL, ada_aria = NULL,
+    ada_score_total = NULL, backfilled = true
+WHERE b.ada_a = 0 AND b.ada_aa = 0 AND b.ada_aaa = 0 AND b.ada_aria = 0
+  AND b.date >= DATE '2025-05-01'
+  AND NOT EXISTS (
+    SELECT 1 FROM ada_scores s
+    WHERE s.sid = b.sid AND s.date = b.date
+      AND s.ada_a = 0 AND s.ada_aa = 0 AND s.ada_aaa = 0 AND s.ada_aria = 0
+  );
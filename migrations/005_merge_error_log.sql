@@ -0,0 +1,14 @@
+-- Older scripts logged to a singular `error_log` table. Everything now writes
+-- to `error_logs`; carry the old rows over and park the legacy table under a
+-- name nothing writes to, so this cannot copy the same rows twice.
+
+DO $$
+BEGIN
+  IF to_regclass('error_log') IS NOT NULL THEN
+    INSERT INTO error_logs (site_id, site_name, message, level, timestamp)
+    SELECT site_id, site_name, message, level, timestamp
+    FROM error_log;
+
+    ALTER TABLE error_log RENAME TO error_log_legacy;
+  END IF;
+END $$;
@@ -0,0 +1,18 @@
+-- Every row the cleanup job removes is archived here with the reason, so
+-- nothing leaves ada_scores without a trace and rows can be restored from
+-- row_data if a site was removed from scope by mistake.
+
+CREATE TABLE IF NOT EXISTS deletion_log (
+    id SERIAL PRIMARY KEY,
+    source_table VARCHAR(63) NOT NULL,
+    sid INTEGER NOT NULL,
+    name VARCHAR(255),
+    url TEXT,
+    date DATE,
+    reason TEXT NOT NULL,
+    row_data JSONB NOT NULL,
+    deleted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_deletion_log_deleted_at ON deletion_log(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_deletion_log_sid ON deletion_log(sid);
@@ -0,0 +1,29 @@
+-- Approved-sites registry, replacing checklist/approved_sites.xlsx and
+-- checklist/approved_sites_clean.json. Entries are never hard-deleted:
+-- removal clears `active`, and every change is recorded in the audit table.
+
+CREATE TABLE IF NOT EXISTS approved_sites (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL,
+    url_key TEXT NOT NULL,
+    title VARCHAR(255),
+    active BOOLEAN NOT NULL DEFAULT true,
+    added_by VARCHAR(255),
+    added_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    removed_by VARCHAR(255),
+    removed_at TIMESTAMP,
+    CONSTRAINT unique_approved_url_key UNIQUE (url_key)
+);
+
+CREATE TABLE IF NOT EXISTS approved_sites_audit (
+    id SERIAL PRIMARY KEY,
+    approved_site_id INTEGER REFERENCES approved_sites(id),
+    url_key TEXT NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    actor VARCHAR(255),
+    details JSONB,
+    at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_approved_sites_audit_site ON approved_sites_audit(approved_site_id);
+CREATE INDEX IF NOT EXISTS idx_approved_sites_audit_at ON approved_sites_audit(at);
@@ -0,0 +1,19 @@
+-- One row per collection or backfill run, whether started by cron, /run-now
+-- or /run-batch. Rows are inserted as 'running' and finished with the run's
+-- stats, so a run that never finishes (process killed) stays visible.
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id SERIAL PRIMARY KEY,
+    job_type VARCHAR(20) NOT NULL,
+    trigger VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    params JSONB,
+    stats JSONB,
+    error TEXT,
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    duration_ms INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_started_at ON job_runs(started_at);
+CREATE INDEX IF NOT EXISTS idx_job_runs_status ON job_runs(status);
@@ -0,0 +1,4 @@
+-- Live progress of a running job (sites done / total, current backfill date,
+-- errors so far), refreshed while it runs and kept as the final snapshot.
+
+ALTER TABLE job_runs ADD COLUMN IF NOT EXISTS progress JSONB;
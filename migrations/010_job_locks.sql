@@ -0,0 +1,15 @@
+-- Lease-based lock shared by every collector entry point (cron, /run-now,
+-- /run-batch and the scripts), across processes and hosts. The holder renews
+-- expires_at while it runs; a lease that expired belongs to a process that
+-- died and may be taken over.
+
+CREATE TABLE IF NOT EXISTS job_locks (
+    name VARCHAR(63) PRIMARY KEY,
+    token VARCHAR(64) NOT NULL,
+    holder TEXT NOT NULL,
+    purpose TEXT,
+    run_id INTEGER,
+    acquired_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    heartbeat_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
@@ -0,0 +1,18 @@
+-- Refresh mode (/run-now?mode=refresh, COLLECT_MODE=refresh) corrects values
+-- on existing (sid, date) rows. Each correction is kept here with the old and
+-- new value of every column it changed, and ada_scores.updated_at marks the
+-- last correction of a row.
+
+ALTER TABLE ada_scores ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS ada_score_revisions (
+    id SERIAL PRIMARY KEY,
+    sid INTEGER NOT NULL,
+    date DATE NOT NULL,
+    changes JSONB NOT NULL,
+    run_id INTEGER,
+    revised_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ada_score_revisions_sid_date ON ada_score_revisions(sid, date);
+CREATE INDEX IF NOT EXISTS idx_ada_score_revisions_run_id ON ada_score_revisions(run_id);
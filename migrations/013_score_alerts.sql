@@ -0,0 +1,31 @@
+-- Regression alerts raised after each collection run (see lib/alerts.js).
+-- kind 'drop': ada_score_total fell by at least ALERT_DROP_POINTS or
+-- ALERT_DROP_PERCENT against the site's average over the previous
+-- ALERT_BASELINE_DAYS days. kind 'below_target': the site fell below its
+-- site_target_score. One alert per site, date and kind, so re-running a day
+-- does not raise (or send) it twice. `delivery` holds the outcome per channel.
+
+CREATE TABLE IF NOT EXISTS score_alerts (
+    id SERIAL PRIMARY KEY,
+    sid INTEGER NOT NULL,
+    name TEXT,
+    url TEXT,
+    group_id BIGINT,
+    date DATE NOT NULL,
+    kind VARCHAR(20) NOT NULL,
+    metric VARCHAR(40) NOT NULL,
+    value DECIMAL(5,2),
+    baseline DECIMAL(5,2),
+    target DECIMAL(5,2),
+    change DECIMAL(6,2),
+    change_percent DECIMAL(6,2),
+    details JSONB,
+    run_id INTEGER,
+    delivery JSONB,
+    notified_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (sid, date, kind)
+);
+
+CREATE INDEX IF NOT EXISTS idx_score_alerts_date ON score_alerts(date);
+CREATE INDEX IF NOT EXISTS idx_score_alerts_run_id ON score_alerts(run_id);
@@ -0,0 +1,4 @@
+// Shared by the pages that build table rows with innerHTML
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
@@ -0,0 +1,53 @@
+const express = require('express');
+const { ALERT_KINDS, ALERT_SETTINGS, listAlerts, sendTestAlert } = require('../lib/alerts');
+const { configuredChannels } = require('../lib/notifiers');
+const { requireRole, audited } = require('../lib/auth');
+const { httpError, sendError } = require('../lib/errors');
+const { parseCount, parseOptionalId, parseOptionalDate } = require('../lib/parse');
+
+const router = express.Router();
+
+/** ====== ALERTS ====== **/
+// Regression alerts raised after collection runs, newest first.
+// Filters: ?sid=&kind=drop|below_target&from=&to=&run_id=, paging via limit/offset.
+router.get('/api/alerts', async (req, res) => {
+  try {
+    const kind = req.query.kind || null;
+    if (kind && !ALERT_KINDS.includes(kind)) throw httpError(400, `kind must be one of: ${ALERT_KINDS.join(', ')}`);
+
+    const limit = parseCount(req, 'limit', 100, 1000);
+    const offset = parseCount(req, 'offset', 0, Number.MAX_SAFE_INTEGER);
+    const { total, alerts } = await listAlerts({
+      sid: parseOptionalId(req, 'sid'),
+      kind,
+      from: parseOptionalDate(req, 'from'),
+      to: parseOptionalDate(req, 'to'),
+      runId: parseOptionalId(req, 'run_id'),
+      limit,
+      offset
+    });
+    res.json({ total, limit, offset, alerts });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch alerts');
+  }
+});
+
+// Thresholds and channels in effect (no credentials)
+router.get('/api/alerts/settings', (req, res) => {
+  res.json({ ...ALERT_SETTINGS, channels: configuredChannels });
+});
+
+// Send a sample alert on every configured channel; 502 if any channel fails
+router.post('/api/alerts/test', requireRole('operator'), audited('alerts-test'), async (req, res) => {
+  try {
+    if (!configuredChannels.length) throw httpError(400, 'No alert channels configured (set ALERT_CHANNELS)');
+    const delivery = await sendTestAlert(req.identity.name);
+    res.locals.audit = { delivery };
+    const failed = Object.keys(delivery).filter(channel => !delivery[channel].ok);
+    res.status(failed.length ? 502 : 200).json({ ok: !failed.length, delivery });
+  } catch (err) {
+    sendError(res, err, 'Failed to send test alert');
+  }
+});
+
+module.exports = router;
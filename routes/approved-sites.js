@@ -0,0 +1,116 @@
+const express = require('express');
+const {
+  listApprovedSites,
+  getApprovedSite,
+  addApprovedSite,
+  updateApprovedSite,
+  removeApprovedSite,
+  listAudit,
+  parseApprovedSitesXlsx,
+  parseApprovedSitesJson,
+  importApprovedSites
+} = require('../lib/approved-sites');
+const { httpError, sendError } = require('../lib/errors');
+const { requireRole, audited } = require('../lib/auth');
+
+const router = express.Router();
+const json = express.json({ limit: '2mb' });
+const XLSX_TYPES = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/octet-stream'];
+
+// Who made the change, for the audit trail: the signed-in user or token
+const actorFrom = (req) => req.identity.name;
+
+// Changes to the registry are for operators and are recorded in audit_log
+const operator = (action) => [requireRole('operator'), audited(action)];
+
+const parseId = (req) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) throw httpError(400, 'id must be a positive integer');
+  return id;
+};
+
+/** ====== REGISTRY ====== **/
+router.get('/api/approved-sites', async (req, res) => {
+  try {
+    res.json(await listApprovedSites({ includeRemoved: ['1', 'true'].includes(String(req.query.include_removed)) }));
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch approved sites');
+  }
+});
+
+router.get('/api/approved-sites/audit', async (req, res) => {
+  try {
+    res.json(await listAudit({ limit: Math.min(Number(req.query.limit) || 200, 1000) }));
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch approved sites audit');
+  }
+});
+
+router.get('/api/approved-sites/:id', async (req, res) => {
+  try {
+    const id = parseId(req);
+    res.json({ ...(await getApprovedSite(id)), audit: await listAudit({ siteId: id }) });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch approved site');
+  }
+});
+
+router.post('/api/approved-sites', operator('approved-sites:add'), json, async (req, res) => {
+  try {
+    res.status(201).json(await addApprovedSite(req.body || {}, actorFrom(req)));
+  } catch (err) {
+    sendError(res, err, 'Failed to add approved site');
+  }
+});
+
+router.put('/api/approved-sites/:id', operator('approved-sites:update'), json, async (req, res) => {
+  try {
+    res.json(await updateApprovedSite(parseId(req), req.body || {}, actorFrom(req)));
+  } catch (err) {
+    sendError(res, err, 'Failed to update approved site');
+  }
+});
+
+router.delete('/api/approved-sites/:id', operator('approved-sites:remove'), json, async (req, res) => {
+  try {
+    const reason = (req.body && req.body.reason) || req.query.reason;
+    res.json(await removeApprovedSite(parseId(req), actorFrom(req), reason));
+  } catch (err) {
+    sendError(res, err, 'Failed to remove approved site');
+  }
+});
+
+/** ====== IMPORT ====== **/
+// Body is either the legacy JSON list or the legacy .xlsx workbook itself:
+//   curl -X POST -H 'Content-Type: application/json' --data @approved_sites_clean.json ...
+//   curl -X POST -H 'Content-Type: application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' \
+//        --data-binary @approved_sites.xlsx ...
+// ?replace=1 removes active entries that are not in the imported list.
+router.post(
+  '/api/approved-sites/import',
+  operator('approved-sites:import'),
+  json,
+  express.raw({ type: XLSX_TYPES, limit: '10mb' }),
+  async (req, res) => {
+    try {
+      let entries;
+      let source;
+      if (Buffer.isBuffer(req.body)) {
+        entries = await parseApprovedSitesXlsx(req.body);
+        source = 'xlsx';
+      } else if (req.is('application/json')) {
+        entries = parseApprovedSitesJson(req.body);
+        source = 'json';
+      } else {
+        throw httpError(415, 'Send application/json or an .xlsx workbook');
+      }
+
+      const replace = ['1', 'true'].includes(String(req.query.replace));
+      res.json(await importApprovedSites(entries, actorFrom(req), { replace, source }));
+    } catch (err) {
+      sendError(res, err, 'Failed to import approved sites');
+    }
+  }
+);
+
+module.exports = router;
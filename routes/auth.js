@@ -0,0 +1,104 @@
+const express = require('express');
+const {
+  SESSION_COOKIE,
+  SESSION_TTL_HOURS,
+  login,
+  logout,
+  sessionToken,
+  requireRole
+} = require('../lib/auth');
+const { recordAudit, listAuditLog } = require('../lib/audit');
+const { httpError, sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+const COOKIE_SECURE = process.env.COOKIE_SECURE === 'true';
+
+// Failed sign-ins per client IP; a burst of them is answered with 429
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 10;
+const loginFailures = new Map(); // ip -> { count, since }
+
+const tooManyFailures = (ip) => {
+  const entry = loginFailures.get(ip);
+  if (!entry) return false;
+  if (Date.now() - entry.since > LOGIN_WINDOW_MS) {
+    loginFailures.delete(ip);
+    return false;
+  }
+  return entry.count >= LOGIN_MAX_FAILURES;
+};
+
+const noteFailure = (ip) => {
+  const entry = loginFailures.get(ip) || { count: 0, since: Date.now() };
+  entry.count++;
+  loginFailures.set(ip, entry);
+};
+
+// Only same-site relative paths, so ?next= cannot bounce a user elsewhere
+const safeNext = (value) => (typeof value === 'string' && /^\/(?!\/)/.test(value) ? value : '/');
+
+/** ====== SESSIONS ====== **/
+// JSON { username, password } (or a form post). Sets the session cookie.
+router.post('/auth/login', express.urlencoded({ extended: false }), express.json(), async (req, res) => {
+  try {
+    if (tooManyFailures(req.ip)) throw httpError(429, 'Too many failed sign-in attempts, try again later');
+
+    const { username, password } = req.body || {};
+    if (!username || !password) throw httpError(400, 'username and password are required');
+
+    const session = await login(String(username), String(password));
+    if (!session) {
+      noteFailure(req.ip);
+      recordAudit({ actor: String(username), actorType: 'user', action: 'login failed', status: 401, ip: req.ip });
+      throw httpError(401, 'Invalid username or password');
+    }
+    loginFailures.delete(req.ip);
+
+    res.cookie(SESSION_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      secure: COOKIE_SECURE,
+      maxAge: SESSION_TTL_HOURS * 3600 * 1000
+    });
+    recordAudit({ actor: session.user.username, actorType: 'user', action: 'login', status: 200, ip: req.ip });
+    res.json({ user: session.user, expiresAt: session.expiresAt, next: safeNext(req.body.next) });
+  } catch (err) {
+    sendError(res, err, 'Sign-in failed');
+  }
+});
+
+// POST from the pages; GET so a plain link also works
+const handleLogout = async (req, res) => {
+  try {
+    await logout(sessionToken(req));
+    res.clearCookie(SESSION_COOKIE);
+    if (req.method === 'GET') return res.redirect('/login.html');
+    res.json({ ok: true });
+  } catch (err) {
+    sendError(res, err, 'Sign-out failed');
+  }
+};
+router.post('/auth/logout', handleLogout);
+router.get('/auth/logout', handleLogout);
+
+// The caller as the server sees them: { name, type, role }
+router.get('/auth/me', (req, res) => {
+  const { name, type, role } = req.identity;
+  res.json({ name, type, role });
+});
+
+/** ====== AUDIT LOG ====== **/
+// Newest first. ?actor=&limit=&offset=
+router.get('/api/audit-log', requireRole('operator'), async (req, res) => {
+  try {
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const { total, entries } = await listAuditLog({ actor: req.query.actor || null, limit, offset });
+    res.json({ total, limit, offset, entries });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch audit log');
+  }
+});
+
+module.exports = router;
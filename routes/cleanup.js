@@ -0,0 +1,55 @@
+const express = require('express');
+const { runCleanup, deletionSummaryByMonth, fullDeletionLog } = require('../lib/cleanup');
+const { requireRole, audited } = require('../lib/auth');
+const { withJobLock } = require('../lib/lock');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+/** ====== CLEANUP ====== **/
+// POST so a crawler or link prefetch can never delete data.
+// ?dry_run=1 reports what would be removed; ?format=json returns the summary.
+// Holds the collector lock so rows are never deleted while a collection or
+// backfill is inserting them (409 while one runs). Errors are JSON.
+router.post('/run-cleanup', requireRole('operator'), audited('run-cleanup'), async (req, res) => {
+  const dryRun = ['1', 'true'].includes(String(req.query.dry_run));
+  console.log(`?? Cleanup requested by ${req.identity.name}${dryRun ? ' (dry run)' : ''}`);
+
+  try {
+    const summary = await withJobLock(`cleanup (manual by ${req.identity.name})`, () => runCleanup({ dryRun }));
+    res.locals.audit = { dryRun, removedRows: summary.removedRows, removedSites: summary.removedSites };
+    if (req.query.format === 'json') return res.json(summary);
+
+    res.send(
+      [
+        dryRun ? '? Dry run complete (nothing deleted).' : '? Cleanup complete.',
+        `In-scope sites: ${summary.inScopeSites}`,
+        `Listed but not approved: ${summary.unapprovedSites}`,
+        `${dryRun ? 'Would remove' : 'Removed'}: ${summary.removedRows} rows from ${summary.removedSites} sites`,
+      ].join(' | ')
+    );
+  } catch (e) {
+    sendError(res, e, 'Cleanup failed');
+  }
+});
+
+/** ====== DELETION LOG ====== **/
+router.get('/api/deletion-summary', async (req, res) => {
+  try {
+    res.json(await deletionSummaryByMonth());
+  } catch (err) {
+    console.error('? Error fetching deletion summary:', err);
+    res.status(500).json({ error: 'Failed to fetch deletion summary' });
+  }
+});
+
+router.get('/api/full-deletion-log', async (req, res) => {
+  try {
+    res.json(await fullDeletionLog());
+  } catch (err) {
+    console.error('? Error fetching deletion log:', err);
+    res.status(500).json({ error: 'Failed to fetch deletion log' });
+  }
+});
+
+module.exports = router;
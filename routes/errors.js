@@ -0,0 +1,51 @@
+const express = require('express');
+const { LEVELS, listErrors, groupErrors } = require('../lib/error-logs');
+const { httpError, sendError } = require('../lib/errors');
+const { parseCount, parseOptionalId, parseOptionalDate } = require('../lib/parse');
+
+const router = express.Router();
+
+// level, sid, from, to and q, shared by both endpoints
+const parseCriteria = (req) => {
+  const level = req.query.level ? String(req.query.level).toUpperCase() : null;
+  if (level && !LEVELS.includes(level)) throw httpError(400, `level must be one of: ${LEVELS.join(', ')}`);
+
+  const sid = parseOptionalId(req, 'sid');
+  const from = parseOptionalDate(req, 'from');
+  const to = parseOptionalDate(req, 'to');
+  if (from && to && from > to) throw httpError(400, `to must be on or after from (${from})`);
+
+  const q = req.query.q ? String(req.query.q).trim() : '';
+  return { level, sid, from, to, q: q || null };
+};
+
+/** ====== ERROR LOG ====== **/
+// Newest first. Filters: ?level=ERROR|WARNING|INFO&sid=&from=YYYY-MM-DD&to=YYYY-MM-DD&q=text,
+// paging via limit (default 100, max 1000) and offset.
+router.get('/api/errors', async (req, res) => {
+  try {
+    const criteria = parseCriteria(req);
+    const limit = parseCount(req, 'limit', 100, 1000);
+    const offset = parseCount(req, 'offset', 0, Number.MAX_SAFE_INTEGER);
+    const { total, entries } = await listErrors({ ...criteria, limit, offset });
+    res.json({ total, limit, offset, entries });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch error logs');
+  }
+});
+
+// Recurring errors: one row per site and message pattern (digits ignored),
+// most days first. Same filters and paging as /api/errors.
+router.get('/api/errors/grouped', async (req, res) => {
+  try {
+    const criteria = parseCriteria(req);
+    const limit = parseCount(req, 'limit', 100, 1000);
+    const offset = parseCount(req, 'offset', 0, Number.MAX_SAFE_INTEGER);
+    const { total, groups } = await groupErrors({ ...criteria, limit, offset });
+    res.json({ total, limit, offset, groups });
+  } catch (err) {
+    sendError(res, err, 'Failed to group error logs');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const { once } = require('events');
+const { EXPORT_FORMATS, DATASETS, toNdjsonRow, streamRows } = require('../lib/export');
+const { csvRow } = require('../lib/csv');
+const { httpError, sendError } = require('../lib/errors');
+const { parseOptionalDate, parseSidList } = require('../lib/parse');
+
+const router = express.Router();
+
+const MAX_SIDS = 1000;
+const CONTENT_TYPES = { csv: 'text/csv; charset=utf-8', ndjson: 'application/x-ndjson; charset=utf-8' };
+
+const parseFilters = (req) => {
+  const format = req.query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) throw httpError(400, `format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+
+  const from = parseOptionalDate(req, 'from');
+  const to = parseOptionalDate(req, 'to');
+  if (from && to && from > to) throw httpError(400, `to must be on or after from (${from})`);
+
+  let groupId = null;
+  if (req.query.group_id !== undefined && req.query.group_id !== '') {
+    groupId = Number(req.query.group_id);
+    if (!Number.isInteger(groupId) || groupId <= 0) throw httpError(400, 'group_id must be a positive integer');
+  }
+  // ?sids=101,102 (also ?sids=101&sids=102)
+  return { format, from, to, sids: parseSidList(req.query.sids, { max: MAX_SIDS }), groupId };
+};
+
+/** ====== STREAMING ====== **/
+// Stream one dataset as CSV or NDJSON. Rows are written as they come off the
+// cursor and reads wait for the socket to drain, so memory stays flat however
+// much history is requested. Stops reading if the client goes away. Nothing
+// is sent until the first rows arrive, so a query that fails outright still
+// gets a JSON error; an export with no rows is just the CSV header (or an
+// empty NDJSON body).
+const streamExport = async (req, res, name, filters) => {
+  const dataset = DATASETS[name];
+  const { format, from, to } = filters;
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk) && !closed) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  };
+
+  let started = false;
+  const start = async () => {
+    if (started) return;
+    started = true;
+    res.type(CONTENT_TYPES[format]);
+    res.attachment(`${name}_${from || 'start'}_${to || 'latest'}.${format === 'csv' ? 'csv' : 'ndjson'}`);
+    if (format === 'csv') await write(csvRow(dataset.columns));
+  };
+
+  const total = await streamRows(dataset.query(filters), async (rows) => {
+    await start();
+    const chunk = format === 'csv'
+      ? rows.map(row => csvRow(dataset.columns.map(column => row[column]))).join('')
+      : rows.map(row => `${JSON.stringify(toNdjsonRow(dataset, row))}\n`).join('');
+    await write(chunk);
+  }, { isAborted: () => closed });
+  await start();
+
+  if (closed) console.log(`?? Export of ${name} stopped after ${total} row(s): client disconnected`);
+  res.end();
+};
+
+// Before the first byte a failure is a JSON error; after it the response is
+// cut off, so a truncated file is never mistaken for a complete one
+const exportRoute = (name, readFilters) => async (req, res) => {
+  let filters;
+  try {
+    filters = readFilters(req);
+  } catch (err) {
+    return sendError(res, err, `Invalid ${name} export`);
+  }
+  try {
+    await streamExport(req, res, name, filters);
+  } catch (err) {
+    if (!res.headersSent) return sendError(res, err, `Failed to export ${name}`);
+    console.error(`? Export of ${name} failed mid-stream:`, err.message);
+    res.destroy(err);
+  }
+};
+
+/** ====== EXPORTS ====== **/
+// ?format=csv|ndjson&from=YYYY-MM-DD&to=YYYY-MM-DD&sids=101,102&group_id=
+// Every filter is optional; with none, the whole table is exported.
+router.get('/api/export/scores', exportRoute('scores', parseFilters));
+
+// Same filters plus ?level=ERROR|WARNING|INFO. from/to match the entry's day.
+router.get('/api/export/errors', exportRoute('errors', (req) => ({
+  ...parseFilters(req),
+  level: req.query.level ? String(req.query.level).toUpperCase() : null
+})));
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const { parseGapParams, findGaps } = require('../lib/gaps');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+/** ====== GAP REPORT ====== **/
+// Which (sid, date) pairs are missing from ada_scores or lack a target.
+// ?from=&to= (default: the 90 days up to yesterday, at most 366) &sids=101,102
+// POST /api/gaps/backfill (app.js) fills them.
+router.get('/api/gaps', async (req, res) => {
+  try {
+    const { from, to, sids } = parseGapParams(req.query);
+    res.json(await findGaps({ from, to, sids }));
+  } catch (err) {
+    sendError(res, err, 'Failed to build gap report');
+  }
+});
+
+module.exports = router;
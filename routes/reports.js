@@ -0,0 +1,26 @@
+const express = require('express');
+const { parseReportRange, buildScoresWorkbook } = require('../lib/reports');
+const { sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/** ====== SCORE REPORT ====== **/
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the previous calendar month, at
+// most 366 days). The workbook is built before any header is sent, so a bad
+// range or a failed query is still a JSON error.
+router.get('/api/reports/scores.xlsx', async (req, res) => {
+  try {
+    const { from, to } = parseReportRange(req.query);
+    const { workbook } = await buildScoresWorkbook({ from, to });
+    const buffer = await workbook.xlsx.writeBuffer();
+    res.type(XLSX_TYPE);
+    res.attachment(`dci-scores_${from}_${to}.xlsx`);
+    res.send(Buffer.from(buffer));
+  } catch (err) {
+    sendError(res, err, 'Failed to build score report');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const { JOB_TYPES, TRIGGERS, STATUSES, listRuns, getRun } = require('../lib/job-runs');
+const { getJob } = require('../lib/jobs');
+const { getJobLock } = require('../lib/lock');
+const { listRevisions } = require('../lib/scores');
+const { httpError, sendError } = require('../lib/errors');
+const { parseCount, parseOptionalId, parseOptionalDate } = require('../lib/parse');
+
+const router = express.Router();
+
+// Optional enum filter; anything outside `allowed` is a 400 rather than an empty list
+const parseChoice = (req, name, allowed) => {
+  const value = req.query[name];
+  if (value === undefined || value === '') return null;
+  if (!allowed.includes(value)) throw httpError(400, `${name} must be one of: ${allowed.join(', ')}`);
+  return value;
+};
+
+const parseId = (req) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) throw httpError(400, 'id must be a positive integer');
+  return id;
+};
+
+/** ====== RUN HISTORY ====== **/
+// Newest first. Filters: ?job_type=collect|backfill&trigger=scheduled|manual&status=...
+router.get('/api/runs', async (req, res) => {
+  try {
+    const limit = parseCount(req, 'limit', 50, 500);
+    const offset = parseCount(req, 'offset', 0, Number.MAX_SAFE_INTEGER);
+    const { total, runs } = await listRuns({
+      jobType: parseChoice(req, 'job_type', JOB_TYPES),
+      trigger: parseChoice(req, 'trigger', TRIGGERS),
+      status: parseChoice(req, 'status', STATUSES),
+      limit,
+      offset
+    });
+    res.json({ total, limit, offset, runs });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch job runs');
+  }
+});
+
+router.get('/api/runs/:id', async (req, res) => {
+  try {
+    const id = parseId(req);
+    const run = await getRun(id);
+    if (!run) throw httpError(404, `Run ${id} not found`);
+    res.json(run);
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch job run');
+  }
+});
+
+/** ====== JOB PROGRESS ====== **/
+// Same row as /api/runs/:id plus live `progress` ({ phase, done, total, errors,
+// and for backfills daysDone, daysTotal, currentDate }) and `percent`.
+router.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const id = parseId(req);
+    const job = await getJob(id);
+    if (!job) throw httpError(404, `Job ${id} not found`);
+    res.json(job);
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch job');
+  }
+});
+
+// Who holds the collector lock right now ({ holder: null } when free)
+router.get('/api/job-lock', async (req, res) => {
+  try {
+    res.json((await getJobLock()) || { holder: null });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch job lock');
+  }
+});
+
+/** ====== SCORE REVISIONS ====== **/
+// Corrections made by refresh-mode runs, newest first.
+// Filters: ?sid=&date=YYYY-MM-DD&run_id=, paging via limit/offset.
+router.get('/api/score-revisions', async (req, res) => {
+  try {
+    const date = parseOptionalDate(req, 'date');
+    const limit = parseCount(req, 'limit', 100, 1000);
+    const offset = parseCount(req, 'offset', 0, Number.MAX_SAFE_INTEGER);
+    const { total, revisions } = await listRevisions({
+      sid: parseOptionalId(req, 'sid'),
+      date,
+      runId: parseOptionalId(req, 'run_id'),
+      limit,
+      offset
+    });
+    res.json({ total, limit, offset, revisions });
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch score revisions');
+  }
+});
+
+module.exports = router;
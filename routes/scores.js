@@ -0,0 +1,89 @@
+const express = require('express');
+const {
+  parseRange,
+  parseInterval,
+  parseMetric,
+  siteSeries,
+  aggregateSeries,
+  searchSites,
+  biggestMovers
+} = require('../lib/trends');
+const { httpError, sendError } = require('../lib/errors');
+
+const router = express.Router();
+
+const parsePositiveInt = (value, name) => {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) throw httpError(400, `${name} must be a positive integer`);
+  return n;
+};
+
+const parseLimit = (value, fallback, max) => {
+  if (value === undefined || value === '') return fallback;
+  const n = parsePositiveInt(value, 'limit');
+  if (n > max) throw httpError(400, `limit must be at most ${max}`);
+  return n;
+};
+
+/** ====== SITES ====== **/
+// Sites with stored scores. ?q= matches name, URL or sid; ?limit= (default 25, max 500)
+router.get('/api/sites', async (req, res) => {
+  try {
+    res.json(await searchSites({ q: req.query.q || '', limit: parseLimit(req.query.limit, 25, 500) }));
+  } catch (err) {
+    sendError(res, err, 'Failed to search sites');
+  }
+});
+
+/** ====== SITE SERIES ====== **/
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 90 days) &interval=day|week|month
+router.get('/api/sites/:sid/scores', async (req, res) => {
+  try {
+    const sid = parsePositiveInt(req.params.sid, 'sid');
+    const { from, to } = parseRange(req.query);
+    const series = await siteSeries(sid, { from, to, interval: parseInterval(req.query.interval) });
+    if (!series) throw httpError(404, `No scores stored for site ${sid}`);
+    res.json(series);
+  } catch (err) {
+    sendError(res, err, 'Failed to fetch site scores');
+  }
+});
+
+/** ====== AGGREGATES ====== **/
+// Average, median and percentiles of one metric across sites per period.
+// ?metric=ada_score_total&from=&to=&interval=day|week|month&group_id=
+router.get('/api/scores/aggregate', async (req, res) => {
+  try {
+    const { from, to } = parseRange(req.query);
+    const groupId = req.query.group_id ? parsePositiveInt(req.query.group_id, 'group_id') : null;
+    res.json(await aggregateSeries({
+      metric: parseMetric(req.query.metric),
+      from,
+      to,
+      interval: parseInterval(req.query.interval),
+      groupId
+    }));
+  } catch (err) {
+    sendError(res, err, 'Failed to aggregate scores');
+  }
+});
+
+// Largest gains and drops between each site's first and last value in range.
+// ?metric=ada_score_total&from=&to=&group_id=&limit= (default 10, max 100)
+router.get('/api/scores/movers', async (req, res) => {
+  try {
+    const { from, to } = parseRange(req.query);
+    const groupId = req.query.group_id ? parsePositiveInt(req.query.group_id, 'group_id') : null;
+    res.json(await biggestMovers({
+      metric: parseMetric(req.query.metric),
+      from,
+      to,
+      groupId,
+      limit: parseLimit(req.query.limit, 10, 100)
+    }));
+  } catch (err) {
+    sendError(res, err, 'Failed to compute biggest movers');
+  }
+});
+
+module.exports = router;